@@ -0,0 +1,3788 @@
+// Cosmic Defender simulation core.
+// Everything in this file is free of DOM access so the game can be stepped
+// headlessly (tests, bots) as well as driven by the browser shell in script.js.
+
+// Linear interpolation used to blend positions between simulation steps
+function lerp(start, end, t) {
+  return start + (end - start) * t;
+}
+
+// Collision geometry. Entities with a hitbox (see HITBOXES) collide with
+// their actual outline; everything else is a circle of its size.
+
+// Builds a hitbox and the radius of the circle enclosing it, used by the
+// broad phase
+function defineHitbox(shapes) {
+  const radius = Math.max(
+    ...shapes.map((shape) =>
+      shape.circle
+        ? Math.hypot(shape.circle[0], shape.circle[1]) + shape.circle[2]
+        : Math.max(...shape.polygon.map(([x, y]) => Math.hypot(x, y)))
+    )
+  );
+  return { shapes: shapes, radius: radius };
+}
+
+function getBoundingRadius(entity) {
+  return entity.hitbox ? entity.hitbox.radius * entity.size : entity.size;
+}
+
+// An entity's collision shapes in world space, following its rotation
+function getWorldShapes(entity) {
+  if (!entity.hitbox) {
+    return [{ circle: { x: entity.x, y: entity.y, r: entity.size } }];
+  }
+
+  const cos = Math.cos(entity.rotation || 0);
+  const sin = Math.sin(entity.rotation || 0);
+  const toWorld = (x, y) => ({
+    x: entity.x + (x * cos - y * sin) * entity.size,
+    y: entity.y + (x * sin + y * cos) * entity.size,
+  });
+
+  return entity.hitbox.shapes.map((shape) => {
+    if (shape.circle) {
+      const [x, y, r] = shape.circle;
+      return { circle: { ...toWorld(x, y), r: r * entity.size } };
+    }
+    return { polygon: shape.polygon.map(([x, y]) => toWorld(x, y)) };
+  });
+}
+
+function shapesOverlap(a, b) {
+  if (a.circle && b.circle) {
+    const distance = Math.hypot(
+      a.circle.x - b.circle.x,
+      a.circle.y - b.circle.y
+    );
+    return distance < a.circle.r + b.circle.r;
+  }
+  if (a.circle) return circleOverlapsPolygon(a.circle, b.polygon);
+  if (b.circle) return circleOverlapsPolygon(b.circle, a.polygon);
+  return polygonsOverlap(a.polygon, b.polygon);
+}
+
+// True when the circle's centre is inside the polygon or it reaches an edge
+function circleOverlapsPolygon(circle, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (distanceToSegment(circle, a, b) < circle.r) return true;
+    if (
+      a.y > circle.y !== b.y > circle.y &&
+      circle.x < ((b.x - a.x) * (circle.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared
+          )
+        );
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+// Separating axis test - convex polygons overlap unless one of their edge
+// normals separates them
+function polygonsOverlap(a, b) {
+  const separated = (polygon) =>
+    polygon.some((point, i) => {
+      const next = polygon[(i + 1) % polygon.length];
+      const axis = { x: point.y - next.y, y: next.x - point.x };
+      const [minA, maxA] = projectPolygon(a, axis);
+      const [minB, maxB] = projectPolygon(b, axis);
+      return maxA <= minB || maxB <= minA;
+    });
+  return !separated(a) && !separated(b);
+}
+
+function projectPolygon(points, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  points.forEach((point) => {
+    const distance = point.x * axis.x + point.y * axis.y;
+    min = Math.min(min, distance);
+    max = Math.max(max, distance);
+  });
+  return [min, max];
+}
+
+class GameCore {
+  // poolCaps overrides POOL_CAPS, e.g. smaller particle budgets on mobile
+  constructor(width, height, poolCaps = {}) {
+    this.width = width;
+    this.height = height;
+    this.listeners = {};
+
+    // Short-lived entities are recycled rather than garbage collected
+    const caps = { ...POOL_CAPS, ...poolCaps };
+    this.bulletPool = new ObjectPool(() => new Bullet(), caps.bullets);
+    this.enemyBulletPool = new ObjectPool(
+      () => new EnemyBullet(),
+      caps.enemyBullets
+    );
+    this.particlePool = new ObjectPool(() => new Particle(), caps.particles);
+
+    // Every random decision draws from a seeded stream so runs can be
+    // replayed. What spawns and where has a stream of its own, so the daily
+    // challenge sends the same waves however each player fights them, and
+    // purely cosmetic effects never touch the gameplay streams.
+    this.rng = new Random();
+    this.spawnRng = new Random();
+    this.effectsRng = new Random();
+
+    // Level up system
+    this.levelUpDuration = 3000; // 3 seconds
+
+    // Scripted levels from levels.json - endless procedural mode without them
+    this.levelDefinitions = [];
+
+    // Broad phase for bullet-enemy collisions, rebuilt every step
+    this.enemyGrid = new SpatialGrid(width, height, 64);
+
+    this.reset();
+  }
+
+  // Subscribe to simulation events (statsChanged, levelUp, gameOver)
+  on(type, handler) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(handler);
+  }
+
+  emit(type, data) {
+    (this.listeners[type] || []).forEach((handler) => handler(data));
+  }
+
+  // Validates and installs level scripts (see levels.json for the format).
+  // Throws on malformed data so a bad edit is caught when the file loads.
+  loadLevels(data) {
+    if (!data || data.version !== 1 || !Array.isArray(data.levels)) {
+      throw new Error("Level data must be { version: 1, levels: [...] }");
+    }
+
+    data.levels.forEach((definition, index) => {
+      const where = `levels[${index}]`;
+      if (!Number.isInteger(definition.level) || definition.level < 1) {
+        throw new Error(`${where}: level must be a positive integer`);
+      }
+      Object.keys(definition.advance || {}).forEach((key) => {
+        if (!ADVANCE_KEYS.includes(key)) {
+          throw new Error(`${where}.advance: unknown threshold "${key}"`);
+        }
+      });
+      (definition.waves || []).forEach((wave, waveIndex) => {
+        const wavePath = `${where}.waves[${waveIndex}]`;
+        if (!ENEMY_TYPES[wave.type]) {
+          throw new Error(`${wavePath}: unknown enemy type "${wave.type}"`);
+        }
+        if (wave.formation && !WAVE_FORMATIONS.includes(wave.formation)) {
+          throw new Error(`${wavePath}: unknown formation "${wave.formation}"`);
+        }
+        if (typeof wave.at !== "number" || !(wave.count > 0)) {
+          throw new Error(`${wavePath}: needs a numeric "at" and a "count"`);
+        }
+      });
+      (definition.powerUps || []).forEach((drop, dropIndex) => {
+        if (typeof drop.at !== "number" || !drop.type) {
+          throw new Error(
+            `${where}.powerUps[${dropIndex}]: needs "at" and "type"`
+          );
+        }
+        if (drop.type !== "random" && !POWER_UPS[drop.type]) {
+          throw new Error(
+            `${where}.powerUps[${dropIndex}]: unknown power-up "${drop.type}"`
+          );
+        }
+      });
+      ((definition.rewards && definition.rewards.powerUps) || []).forEach(
+        (type) => {
+          if (type !== "random" && !POWER_UPS[type]) {
+            throw new Error(`${where}.rewards: unknown power-up "${type}"`);
+          }
+        }
+      );
+    });
+
+    this.levelDefinitions = data.levels;
+  }
+
+  // The shell owns the canvas, so it tells the core how big the playfield is
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.enemyGrid.resize(width, height);
+  }
+
+  // players is 1 or 2 (local co-op); co-op ships either draw from one
+  // shared pool of lives or each get their own. ships names the SHIPS entry
+  // each player flies, defaulting to the rocket.
+  reset(
+    seed = Date.now(),
+    difficulty = "normal",
+    players = 1,
+    sharedLives = true,
+    ships = []
+  ) {
+    if (!DIFFICULTY_PRESETS[difficulty]) {
+      throw new Error(`Unknown difficulty "${difficulty}"`);
+    }
+    if (players !== 1 && players !== 2) {
+      throw new Error(`Unsupported player count ${players}`);
+    }
+    ships.forEach((ship) => {
+      if (!SHIPS[ship]) {
+        throw new Error(`Unknown ship "${ship}"`);
+      }
+    });
+    this.rng.setSeed(seed);
+    this.spawnRng.setSeed(seed ^ 0x5bd1e995);
+    this.effectsRng.setSeed(seed ^ 0x27d4eb2f);
+    this.seed = seed;
+    this.difficulty = difficulty;
+    // A copy, so modifiers can tune it for this run only
+    this.preset = { ...DIFFICULTY_PRESETS[difficulty] };
+    this.modifiers = [];
+    this.bannedPowerUps = []; // types that never drop this run
+    this.isOver = false;
+    this.elapsedTime = 0; // milliseconds of play this run
+
+    this.score = 0;
+    this.combo = 0; // kills in the current chain
+    this.comboTimer = 0; // milliseconds left to extend the chain
+    this.multiplier = 1;
+    this.sharedLives = players === 1 || sharedLives;
+    this.level = 1;
+    this.bullets = this.bulletPool.releaseAll(this.bullets);
+    this.enemies = [];
+    this.particles = this.particlePool.releaseAll(this.particles);
+    this.powerUps = [];
+    this.enemyBullets = this.enemyBulletPool.releaseAll(this.enemyBullets);
+    this.missiles = [];
+    this.scorePopups = [];
+    this.lasers = []; // { x, y, timer } per beam currently showing
+    this.players = [];
+    for (let i = 0; i < players; i++) {
+      // Co-op ships start side by side
+      const x = (this.width * (i + 1)) / (players + 1);
+      this.players.push(new Player(x, this.height - 60, i, ships[i]));
+    }
+    this.player = this.players[0]; // Player one, the only ship in solo runs
+
+    // Ships add to (or take from) the difficulty's lives, never below one
+    const startingLives = (bonus) => Math.max(1, this.preset.lives + bonus);
+    if (this.sharedLives) {
+      this.lives = startingLives(
+        this.players.reduce((sum, player) => sum + SHIPS[player.ship].lives, 0)
+      );
+    } else {
+      this.players.forEach((player) => {
+        player.lives = startingLives(SHIPS[player.ship].lives);
+      });
+      this.updateLifeTotal();
+    }
+    this.enemySpawnTimer = 0;
+    this.enemySpawnRate = 2000 * this.preset.spawnRate; // milliseconds
+    this.powerUpSpawnTimer = 0;
+    this.powerUpSpawnRate = 15000; // 15 seconds
+    this.levelUpMessage = null;
+    this.levelUpSubtitle = null;
+    this.levelUpTimer = 0;
+    this.boss = null;
+    this.loadLevelScript();
+    this.emit("statsChanged");
+  }
+
+  // Applies DAILY_MODIFIERS by name on top of a fresh reset()
+  applyModifiers(names) {
+    names.forEach((name) => {
+      if (!DAILY_MODIFIERS[name]) {
+        throw new Error(`Unknown modifier "${name}"`);
+      }
+    });
+    names.forEach((name) => DAILY_MODIFIERS[name].apply(this));
+    this.modifiers = names.slice();
+    this.emit("statsChanged");
+  }
+
+  // Advance the simulation by one fixed step using the given input frame
+  step(deltaTime, input) {
+    if (this.isOver) return;
+    this.elapsedTime += deltaTime;
+
+    // Update players
+    this.players.forEach((player) => player.update(deltaTime, this));
+
+    // Time slow stretches everything hostile; the players keep full speed
+    const worldDelta = this.players.some(
+      (player) => !player.down && player.hasTimeSlow
+    )
+      ? deltaTime * 0.5
+      : deltaTime;
+
+    // Handle input - co-op steps carry one input frame per player
+    const inputs = Array.isArray(input) ? input : [input];
+    this.players.forEach((player, index) => {
+      if (!player.down && inputs[index]) {
+        this.applyInput(deltaTime, inputs[index], player);
+      }
+    });
+    this.updateRevives(deltaTime);
+
+    // Update bullets. Entities leaving play are only marked dead here and
+    // removed together at the end of the step, so no loop skips an entry.
+    this.bullets.forEach((bullet) => {
+      bullet.update(deltaTime);
+      if (bullet.y < 0 || bullet.x < 0 || bullet.x > this.width) {
+        bullet.dead = true;
+      }
+    });
+
+    // Update homing missiles
+    this.missiles.forEach((missile) => {
+      missile.update(deltaTime, this.findMissileTarget(missile));
+      if (
+        missile.life <= 0 ||
+        missile.y < -50 ||
+        missile.y > this.height + 50 ||
+        missile.x < -50 ||
+        missile.x > this.width + 50
+      ) {
+        missile.dead = true;
+      }
+    });
+
+    this.lasers.forEach((laser) => {
+      laser.timer -= deltaTime;
+    });
+    this.lasers = this.lasers.filter((laser) => laser.timer > 0);
+
+    // The combo drops when no kill lands within the window
+    if (this.combo > 0) {
+      this.comboTimer -= deltaTime;
+      if (this.comboTimer <= 0) {
+        this.resetCombo();
+      }
+    }
+
+    // Spawn enemies - scripted waves first, then procedural spawning.
+    // Normal waves hold off while a boss is on screen.
+    if (this.boss) {
+      this.updateBoss(worldDelta);
+    } else if (this.scriptedSpawns.length > 0) {
+      this.runLevelScript(worldDelta);
+    } else {
+      this.enemySpawnTimer += worldDelta;
+      if (this.enemySpawnTimer > this.enemySpawnRate) {
+        this.spawnEnemy();
+        this.enemySpawnTimer = 0;
+      }
+    }
+
+    // Update enemies
+    this.enemies.forEach((enemy) => {
+      enemy.update(worldDelta, this.getNearestPlayer(enemy.x, enemy.y));
+      if (enemy.canFire(this.height)) {
+        this.fireBulletPattern(enemy.config.fire.pattern, enemy.x, enemy.y);
+        enemy.fireCooldown =
+          this.rng.range(...enemy.config.fire.interval) / this.preset.fireRate;
+      }
+      if (enemy.y > this.height + 50) {
+        // Letting an enemy slip past breaks the combo
+        enemy.dead = true;
+        this.resetCombo();
+      } else if (enemy.x < -50 || enemy.x > this.width + 50) {
+        enemy.dead = true;
+      }
+    });
+
+    // Update hostile projectiles
+    this.enemyBullets.forEach((bullet) => {
+      bullet.update(worldDelta);
+      if (
+        bullet.y < -20 ||
+        bullet.y > this.height + 20 ||
+        bullet.x < -20 ||
+        bullet.x > this.width + 20
+      ) {
+        bullet.dead = true;
+      }
+    });
+
+    // Spawn power-ups
+    this.powerUpSpawnTimer += deltaTime;
+    if (this.powerUpSpawnTimer > this.powerUpSpawnRate) {
+      this.spawnPowerUp();
+      this.powerUpSpawnTimer = 0;
+      // Randomize next spawn time (10-20 seconds)
+      this.powerUpSpawnRate = this.spawnRng.range(10000, 20000);
+    }
+
+    // Update power-ups
+    // The magnet pulls falling power-ups towards the nearest ship that has it
+    this.powerUps.forEach((powerUp) => {
+      const attractor = this.getNearestPlayer(
+        powerUp.x,
+        powerUp.y,
+        (player) => player.hasMagnet
+      );
+      powerUp.update(deltaTime, attractor);
+      if (powerUp.y > this.height + 50) {
+        powerUp.dead = true;
+      }
+    });
+
+    // Update particles
+    this.particles.forEach((particle) => {
+      particle.update(deltaTime);
+      if (particle.life <= 0) {
+        particle.dead = true;
+      }
+    });
+
+    // Update score popups
+    this.scorePopups.forEach((popup) => {
+      popup.update(deltaTime);
+      if (popup.life <= 0) {
+        popup.dead = true;
+      }
+    });
+
+    // Check collisions
+    this.checkCollisions();
+    this.removeDeadEntities();
+
+    // Check level progression (held back until the boss is beaten)
+    this.levelStats.time += deltaTime;
+    if (!this.boss && this.getLevelProgress() >= 1) {
+      this.levelUp();
+    }
+
+    // Update level up message timer
+    if (this.levelUpMessage) {
+      this.levelUpTimer -= deltaTime;
+      if (this.levelUpTimer <= 0) {
+        this.levelUpMessage = null;
+      }
+    }
+  }
+
+  applyInput(deltaTime, input, player) {
+    const speed =
+      (player.hasSpeedBoost ? player.boostedSpeed : player.speed) *
+      (deltaTime / 1000);
+
+    if (input.left) {
+      player.x = Math.max(player.size, player.x - speed);
+    }
+    if (input.right) {
+      player.x = Math.min(this.width - player.size, player.x + speed);
+    }
+    if (input.up) {
+      player.y = Math.max(player.size, player.y - speed);
+    }
+    if (input.down) {
+      player.y = Math.min(this.height - player.size, player.y + speed);
+    }
+
+    // Analog stick - speed scales with how far the stick is pushed
+    if (input.stick) {
+      player.x = Math.max(
+        player.size,
+        Math.min(this.width - player.size, player.x + input.stick.x * speed)
+      );
+      player.y = Math.max(
+        player.size,
+        Math.min(this.height - player.size, player.y + input.stick.y * speed)
+      );
+    }
+
+    if (input.touch) {
+      this.applyTouchInput(input.touch, player);
+    }
+
+    // Hold to fire
+    if (input.fire) {
+      if (player.shoot(this)) {
+        this.emit("shoot", { player: player.index });
+      }
+    }
+  }
+
+  applyTouchInput(touch, player) {
+    let targetX;
+    let targetY;
+
+    if (touch.direct) {
+      // Direct control: Move player towards touch position with smooth interpolation
+      const lerpFactor = 0.2; // Adjust for smoothness (0.1 = smooth, 0.5 = snappy)
+      targetX = lerp(player.x, touch.x, lerpFactor);
+      targetY = lerp(player.y, touch.y, lerpFactor);
+    } else {
+      // Relative control: Move based on touch movement with very high sensitivity
+      const sensitivity = 1.5;
+      targetX = player.x + touch.x * sensitivity;
+      targetY = player.y + touch.y * sensitivity;
+    }
+
+    player.x = Math.max(
+      player.size,
+      Math.min(this.width - player.size, targetX)
+    );
+    player.y = Math.max(
+      player.size,
+      Math.min(this.height - player.size, targetY)
+    );
+  }
+
+  levelUp() {
+    this.level++;
+
+    // Progressive difficulty increases
+    this.increaseDifficulty();
+
+    // Show level up message
+    this.showMessage(`LEVEL ${this.level}!`);
+
+    this.loadLevelScript();
+
+    // Give special level up rewards - scripted levels may define their own
+    if (this.levelScript && this.levelScript.rewards) {
+      this.giveScriptedRewards(this.levelScript.rewards);
+    } else {
+      this.giveLevelUpRewards();
+    }
+    // Level-up bonuses don't count towards the next level
+    this.levelStats.startScore = this.score;
+
+    // Milestone levels bring a boss fight
+    const bossLevel = this.levelScript
+      ? !!this.levelScript.boss
+      : this.level % 10 === 0;
+    if (bossLevel) {
+      this.startBossFight();
+    }
+
+    // Create celebration particles
+    this.createLevelUpEffects();
+
+    this.emit("levelUp", { level: this.level });
+    this.emit("statsChanged");
+  }
+
+  increaseDifficulty() {
+    // Faster enemy spawning
+    this.enemySpawnRate = Math.max(400, this.enemySpawnRate - 150);
+
+    // Every few levels, make additional changes
+    if (this.level % 2 === 0) {
+      // Slightly reduce power-up spawn rate to increase challenge
+      this.powerUpSpawnRate = Math.min(25000, this.powerUpSpawnRate + 1000);
+    }
+
+    // Special difficulty spikes at milestone levels
+    if (this.level % 10 === 0) {
+      this.enemySpawnRate = Math.max(300, this.enemySpawnRate - 100);
+    }
+  }
+
+  showMessage(message, subtitle = null) {
+    this.levelUpMessage = message;
+    this.levelUpSubtitle = subtitle;
+    this.levelUpTimer = this.levelUpDuration;
+  }
+
+  giveLevelUpRewards() {
+    // Give every ship a random power-up
+    this.getActivePlayers().forEach((player) => {
+      player.applyPowerUp(this.pickPowerUpType(), this);
+    });
+
+    // Bonus points for leveling up
+    this.score += 200;
+
+    // Special rewards for milestone levels
+    if (this.level % 5 === 0) {
+      // Every 5 levels: Extra life
+      this.addLives(1);
+      this.showMessage(`LEVEL ${this.level}! BONUS LIFE!`, "+1 LIFE AWARDED!");
+    } else if (this.level % 3 === 0) {
+      // Every 3 levels: Multiple power-ups
+      this.getActivePlayers().forEach((player) => {
+        player.applyPowerUp(this.pickPowerUpType(), this);
+      });
+      this.showMessage(
+        `LEVEL ${this.level}! DOUBLE POWER!`,
+        "DOUBLE POWER-UP!"
+      );
+    }
+  }
+
+  giveScriptedRewards(rewards) {
+    this.score += rewards.score || 0;
+    this.addLives(rewards.lives || 0);
+    (rewards.powerUps || []).forEach((type) => {
+      this.getActivePlayers().forEach((player) => {
+        player.applyPowerUp(this.resolvePowerUpType(type), this);
+      });
+    });
+
+    if (rewards.message) {
+      this.showMessage(rewards.message, rewards.subtitle || null);
+    }
+  }
+
+  // What it takes to leave the current level. Every listed threshold must be
+  // reached; score, kills and time all count from the start of the level, so
+  // one big award can only ever clear a single level.
+  getAdvanceRequirement() {
+    if (this.levelScript && this.levelScript.advance) {
+      return this.levelScript.advance;
+    }
+    return { score: 1000 };
+  }
+
+  // Fraction (0 to 1) of the way to the next level
+  getLevelProgress() {
+    const requirement = this.getAdvanceRequirement();
+    const current = {
+      score: this.score - this.levelStats.startScore,
+      kills: this.levelStats.kills,
+      time: this.levelStats.time,
+    };
+
+    // The least complete threshold decides overall progress
+    return Object.keys(requirement).reduce(
+      (progress, key) =>
+        Math.min(progress, current[key] / Math.max(1, requirement[key])),
+      1
+    );
+  }
+
+  // Queues up the scripted spawns for the current level, if it has a script
+  loadLevelScript() {
+    this.levelScript =
+      this.levelDefinitions.find((d) => d.level === this.level) || null;
+    this.levelTime = 0;
+    this.levelStats = { kills: 0, time: 0, startScore: this.score };
+    this.scriptedSpawns = [];
+    if (!this.levelScript) return;
+
+    (this.levelScript.waves || []).forEach((wave) => {
+      this.scriptedSpawns.push(...this.expandWave(wave));
+    });
+    (this.levelScript.powerUps || []).forEach((drop) => {
+      this.scriptedSpawns.push({
+        at: drop.at,
+        powerUp: drop.type,
+        x: drop.x === undefined ? 0.5 : drop.x,
+        y: -30,
+      });
+    });
+    this.scriptedSpawns.sort((a, b) => a.at - b.at);
+
+    if (this.levelScript.enemySpawnRate) {
+      this.enemySpawnRate = this.levelScript.enemySpawnRate;
+    }
+  }
+
+  // Turns one wave entry into individual timed spawns. x positions are
+  // fractions of the playfield width so scripts work at any screen size.
+  expandWave(wave) {
+    const count = wave.count;
+    const centerX = wave.x === undefined ? 0.5 : wave.x;
+    const spacing = wave.spacing || 60; // pixels between ships
+    const formation = wave.formation || "line";
+    const interval =
+      wave.interval !== undefined
+        ? wave.interval
+        : formation === "column"
+        ? 350
+        : 0;
+    const spawns = [];
+
+    for (let i = 0; i < count; i++) {
+      const offset = (i - (count - 1) / 2) * spacing;
+      const spawn = {
+        at: wave.at + interval * i,
+        enemy: wave.type,
+        x: centerX,
+        offsetX: 0,
+        y: -30,
+      };
+
+      switch (formation) {
+        case "line":
+          spawn.offsetX = offset;
+          break;
+        case "v":
+          // The middle ship leads, the wings trail behind
+          spawn.offsetX = offset;
+          spawn.y -= Math.abs(offset) * 0.6;
+          break;
+        case "random":
+          spawn.x = this.spawnRng.range(0.05, 0.95);
+          break;
+        // "column" keeps every ship on the same x, spaced out in time
+      }
+      spawns.push(spawn);
+    }
+    return spawns;
+  }
+
+  runLevelScript(deltaTime) {
+    this.levelTime += deltaTime;
+
+    while (
+      this.scriptedSpawns.length > 0 &&
+      this.scriptedSpawns[0].at <= this.levelTime
+    ) {
+      const spawn = this.scriptedSpawns.shift();
+      const x = Math.max(
+        20,
+        Math.min(this.width - 20, spawn.x * this.width + (spawn.offsetX || 0))
+      );
+
+      if (spawn.enemy) {
+        this.addEnemy(new Enemy(x, spawn.y, this.spawnRng, spawn.enemy));
+      } else {
+        this.powerUps.push(
+          new PowerUp(
+            x,
+            spawn.y,
+            this.resolvePowerUpType(spawn.powerUp, this.spawnRng)
+          )
+        );
+      }
+    }
+
+    // Procedural spawning picks up from a fresh timer once the script ends
+    if (this.scriptedSpawns.length === 0) {
+      this.enemySpawnTimer = 0;
+    }
+  }
+
+  startBossFight() {
+    this.boss = new Boss(this.width / 2, this.level);
+    this.showMessage(
+      `LEVEL ${this.level}! BOSS INCOMING!`,
+      "AIM FOR THE WEAK POINTS!"
+    );
+    this.emit("bossSpawned", { level: this.level });
+  }
+
+  updateBoss(deltaTime) {
+    const boss = this.boss;
+    boss.update(deltaTime, this.width);
+    if (!boss.hasEntered) return;
+
+    // Each attack in the current phase fires on its own timer
+    boss.phaseConfig.attacks.forEach((attack, index) => {
+      if (boss.attackTimers[index] <= 0) {
+        this.fireBulletPattern(
+          attack.pattern,
+          boss.x,
+          boss.y + boss.size * 0.5
+        );
+        boss.attackTimers[index] = attack.interval;
+      }
+    });
+  }
+
+  // killer is the player whose shot finished the boss, when known
+  defeatBoss(killer = null) {
+    const boss = this.boss;
+    this.boss = null;
+
+    // A chain of explosions across the hull
+    this.createExplosion(boss.x, boss.y, boss.color, 40);
+    boss.getWeakPoints().forEach((point) => {
+      this.createExplosion(point.x, point.y, "#ffff00", 20);
+    });
+
+    // Big score reward plus a guaranteed power-up for whoever landed the
+    // final blow, or the nearest ship if they have gone down since
+    this.awardKill(5000, boss.x, boss.y, killer);
+    const recipient =
+      killer && !killer.down ? killer : this.getNearestPlayer(boss.x, boss.y);
+    if (recipient) {
+      recipient.applyPowerUp(this.pickPowerUpType(), this);
+    }
+
+    // Normal waves resume from a fresh timer
+    this.enemySpawnTimer = 0;
+
+    this.showMessage("BOSS DEFEATED!", "+5000 POINTS!");
+    this.emit("bossDefeated", { level: this.level });
+    this.emit("statsChanged");
+  }
+
+  createLevelUpEffects() {
+    // Create celebration particles around each ship
+    this.getActivePlayers().forEach((player) => {
+      for (let i = 0; i < 30; i++) {
+        const angle = (i / 30) * Math.PI * 2;
+        const distance = this.effectsRng.range(50, 100);
+        const x = player.x + Math.cos(angle) * distance;
+        const y = player.y + Math.sin(angle) * distance;
+
+        // Create golden celebration particles
+        this.spawnParticle(x, y, "#ffaa00");
+      }
+    });
+  }
+
+  spawnEnemy() {
+    const type = this.pickEnemyType();
+    const x = this.spawnRng.range(20, this.width - 20);
+    this.addEnemy(new Enemy(x, -30, this.spawnRng, type));
+  }
+
+  // All enemies enter play through here so the difficulty preset applies
+  addEnemy(...enemies) {
+    enemies.forEach((enemy) => {
+      enemy.speed *= this.preset.enemySpeed;
+      this.enemies.push(enemy);
+    });
+  }
+
+  // Fires one of the BULLET_PATTERNS from the given position
+  fireBulletPattern(patternName, x, y) {
+    const pattern = BULLET_PATTERNS[patternName];
+    const target = pattern.aimed ? this.getNearestPlayer(x, y) : null;
+    const center = target
+      ? Math.atan2(target.y - y, target.x - x)
+      : Math.PI / 2;
+    const spread = (pattern.spread * Math.PI) / 180;
+
+    // A full circle spaces shots evenly, a fan puts shots on both edges
+    let step = 0;
+    if (pattern.spread >= 360) {
+      step = spread / pattern.count;
+    } else if (pattern.count > 1) {
+      step = spread / (pattern.count - 1);
+    }
+    const start = pattern.spread >= 360 ? center : center - spread / 2;
+
+    for (let i = 0; i < pattern.count; i++) {
+      this.enemyBulletPool
+        .acquire(this.enemyBullets)
+        .init(x, y, start + step * i, pattern);
+    }
+  }
+
+  // owner is the Player who fired, for score attribution. angle (degrees
+  // from straight up), speed and size are left to Bullet's defaults when not
+  // given.
+  spawnBullet(x, y, owner = null, angle, speed, size) {
+    this.bulletPool.acquire(this.bullets).init(x, y, owner, angle, speed, size);
+  }
+
+  spawnParticle(x, y, color) {
+    this.particlePool
+      .acquire(this.particles)
+      .init(x, y, color, this.effectsRng);
+  }
+
+  // Allocation counters per pool - "created" should stop growing once a run
+  // has warmed up
+  getPoolStats() {
+    const describe = (pool, live) => ({
+      ...pool.stats,
+      live: live.length,
+      free: pool.free.length,
+      cap: pool.cap,
+    });
+    return {
+      bullets: describe(this.bulletPool, this.bullets),
+      enemyBullets: describe(this.enemyBulletPool, this.enemyBullets),
+      particles: describe(this.particlePool, this.particles),
+    };
+  }
+
+  // Weighted pick among the enemy types unlocked at the current level
+  pickEnemyType() {
+    const unlocked = Object.keys(ENEMY_TYPES).filter(
+      (type) => ENEMY_TYPES[type].unlockLevel <= this.level
+    );
+    const totalWeight = unlocked.reduce(
+      (sum, type) => sum + ENEMY_TYPES[type].weight,
+      0
+    );
+
+    let roll = this.spawnRng.range(0, totalWeight);
+    for (const type of unlocked) {
+      roll -= ENEMY_TYPES[type].weight;
+      if (roll < 0) return type;
+    }
+    return unlocked[unlocked.length - 1];
+  }
+
+  spawnPowerUp() {
+    const x = this.spawnRng.range(30, this.width - 30);
+    this.powerUps.push(
+      new PowerUp(x, -30, this.pickPowerUpType(this.spawnRng))
+    );
+  }
+
+  // Scripted drops and rewards name a type or "random"; a type banned by a
+  // modifier is swapped for a random pick too
+  resolvePowerUpType(type, rng = this.rng) {
+    return type === "random" || this.bannedPowerUps.includes(type)
+      ? this.pickPowerUpType(rng)
+      : type;
+  }
+
+  // Weighted pick across every registered power-up still allowed this run.
+  // Drops falling into the playfield pick from spawnRng; rewards, which
+  // depend on how the run is going, from the gameplay stream.
+  pickPowerUpType(rng = this.rng) {
+    const types = Object.keys(POWER_UPS).filter(
+      (type) => !this.bannedPowerUps.includes(type)
+    );
+    const total = types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+    let roll = rng.next() * total;
+    for (const type of types) {
+      roll -= POWER_UPS[type].weight;
+      if (roll < 0) return type;
+    }
+    return types[types.length - 1];
+  }
+
+  spawnMissile(x, y, angle, owner = null) {
+    this.missiles.push(new Missile(x, y, angle, owner));
+  }
+
+  // Nearest enemy still in play, falling back to the boss
+  findMissileTarget(missile) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.enemies.forEach((enemy) => {
+      if (enemy.dead || enemy.y < 0) return;
+      const distance = Math.hypot(enemy.x - missile.x, enemy.y - missile.y);
+      if (distance < nearestDistance) {
+        nearest = enemy;
+        nearestDistance = distance;
+      }
+    });
+    return nearest || this.boss;
+  }
+
+  // The laser hits every enemy in its column above the player at once
+  fireLaser(x, y, owner = null) {
+    const halfWidth = 6;
+    this.lasers.push({ x: x, y: y, timer: 100 });
+
+    this.enemies.forEach((enemy) => {
+      if (
+        enemy.dead ||
+        enemy.y > y ||
+        Math.abs(enemy.x - x) > getBoundingRadius(enemy) + halfWidth
+      ) {
+        return;
+      }
+      if (enemy.hit(1)) {
+        this.destroyEnemy(enemy, true, owner);
+      } else {
+        this.createExplosion(enemy.x, enemy.y, enemy.color, 4);
+      }
+    });
+
+    if (
+      this.boss &&
+      this.boss.y < y &&
+      Math.abs(this.boss.x - x) < this.boss.size + halfWidth &&
+      this.boss.hit(1)
+    ) {
+      this.defeatBoss(owner);
+    }
+  }
+
+  // Destroys every enemy and hostile shot on screen and hurts the boss
+  detonateBomb(owner = null) {
+    this.enemies.forEach((enemy) => {
+      if (!enemy.dead && enemy.y > -enemy.size) {
+        this.destroyEnemy(enemy, false, owner);
+      }
+    });
+    this.enemyBullets.forEach((bullet) => {
+      bullet.dead = true;
+    });
+    if (this.boss && this.boss.hit(10)) {
+      this.defeatBoss(owner);
+    }
+    this.emit("bomb");
+  }
+
+  // Scores a kill for killer (a Player, or null when nobody gets the
+  // credit). Splitters break apart unless canSplit is false.
+  destroyEnemy(enemy, canSplit = true, killer = null) {
+    this.createExplosion(enemy.x, enemy.y, enemy.color);
+    enemy.dead = true;
+    if (canSplit) {
+      this.addEnemy(...enemy.split(this.rng));
+    }
+
+    this.awardKill(enemy.scoreValue, enemy.x, enemy.y, killer);
+    this.levelStats.kills++;
+    this.emit("statsChanged");
+  }
+
+  // Extends the combo and scores a kill at the current multiplier, with a
+  // popup where it happened. The combo is shared; the points also count
+  // towards the killer's own score.
+  awardKill(points, x, y, killer = null) {
+    this.combo++;
+    this.comboTimer = COMBO_RULES.window;
+    this.multiplier = Math.min(
+      COMBO_RULES.maxMultiplier,
+      1 + Math.floor(this.combo / COMBO_RULES.killsPerStep)
+    );
+
+    const awarded = points * this.multiplier;
+    this.score += awarded;
+    if (killer) {
+      killer.score += awarded;
+    }
+    this.scorePopups.push(
+      new ScorePopup(x, y, `+${awarded}`, COMBO_COLORS[this.multiplier - 1])
+    );
+  }
+
+  resetCombo() {
+    if (this.combo === 0) return;
+    this.combo = 0;
+    this.comboTimer = 0;
+    this.multiplier = 1;
+    this.emit("statsChanged");
+  }
+
+  checkCollisions() {
+    // Bullet-Enemy collisions - each bullet only tests enemies in nearby
+    // grid cells and stops at the first one it hits
+    this.enemyGrid.clear();
+    this.enemies.forEach((enemy) => {
+      if (!enemy.dead) this.enemyGrid.insert(enemy);
+    });
+
+    this.bullets.forEach((bullet) => {
+      if (bullet.dead) return;
+
+      const enemy = this.enemyGrid
+        .query(bullet.x, bullet.y, bullet.size)
+        .find(
+          (candidate) => !candidate.dead && this.isColliding(bullet, candidate)
+        );
+      if (!enemy) return;
+
+      bullet.dead = true;
+
+      if (enemy.hit(1)) {
+        this.destroyEnemy(enemy, true, bullet.owner);
+      } else {
+        // Armored enemies just spark until their hit points run out
+        this.createExplosion(bullet.x, bullet.y, enemy.color, 4);
+      }
+    });
+
+    // Missile-Enemy collisions work the same way with heavier damage
+    this.missiles.forEach((missile) => {
+      const enemy = this.enemyGrid
+        .query(missile.x, missile.y, missile.size)
+        .find(
+          (candidate) => !candidate.dead && this.isColliding(missile, candidate)
+        );
+      if (!enemy) return;
+
+      missile.dead = true;
+      if (enemy.hit(missile.damage)) {
+        this.destroyEnemy(enemy, true, missile.owner);
+      } else {
+        this.createExplosion(missile.x, missile.y, "#ff8800", 6);
+      }
+    });
+
+    if (this.boss) {
+      this.missiles.forEach((missile) => {
+        if (!this.boss || missile.dead) return;
+        if (!this.isColliding(missile, this.boss)) return;
+
+        missile.dead = true;
+        this.createExplosion(missile.x, missile.y, "#ff8800", 6);
+        if (this.boss.hit(missile.damage)) {
+          this.defeatBoss(missile.owner);
+        }
+      });
+    }
+
+    // Bullet-Boss collisions - weak points take extra damage
+    if (this.boss) {
+      this.bullets.forEach((bullet) => {
+        if (!this.boss || bullet.dead) return;
+
+        const weakPoint = this.boss
+          .getWeakPoints()
+          .find((point) => this.isColliding(bullet, point));
+        if (!weakPoint && !this.isColliding(bullet, this.boss)) return;
+
+        bullet.dead = true;
+        this.createExplosion(
+          bullet.x,
+          bullet.y,
+          weakPoint ? "#ffff00" : this.boss.color,
+          weakPoint ? 6 : 3
+        );
+
+        if (this.boss.hit(weakPoint ? 3 : 1)) {
+          this.defeatBoss(bullet.owner);
+        }
+      });
+    }
+
+    // Ship collisions - downed ships are out of play until revived
+    this.getActivePlayers().forEach((player) => {
+      this.checkPlayerCollisions(player);
+    });
+  }
+
+  checkPlayerCollisions(player) {
+    // Player-Boss collisions - ramming the hull costs a life
+    if (this.boss && this.isColliding(player, this.boss)) {
+      this.createExplosion(player.x, player.y, "#ffff00");
+      // Knock the player clear so one touch only counts once
+      player.y = Math.min(
+        this.height - player.size,
+        this.boss.y + this.boss.size + player.size * 2
+      );
+      this.damagePlayer(player);
+    }
+
+    // Player-Enemy collisions
+    this.enemies.forEach((enemy) => {
+      if (!player.down && !enemy.dead && this.isColliding(player, enemy)) {
+        // Create explosion
+        this.createExplosion(enemy.x, enemy.y, "#ffff00");
+
+        // Remove enemy
+        enemy.dead = true;
+
+        this.damagePlayer(player);
+      }
+    });
+
+    // Hostile projectile-Player collisions
+    this.enemyBullets.forEach((bullet) => {
+      if (!player.down && !bullet.dead && this.isColliding(player, bullet)) {
+        // A shield absorbs the shot, otherwise it costs a life
+        this.createExplosion(bullet.x, bullet.y, bullet.color, 6);
+        bullet.dead = true;
+
+        this.damagePlayer(player);
+      }
+    });
+
+    // Player-PowerUp collisions - pickups stay generous and only need the
+    // bounding circles to touch
+    this.powerUps.forEach((powerUp) => {
+      if (
+        !player.down &&
+        !powerUp.dead &&
+        this.isWithinReach(player, powerUp)
+      ) {
+        // Create pickup particles
+        this.createExplosion(powerUp.x, powerUp.y, powerUp.color, 15, false);
+
+        // Apply power-up effect
+        player.applyPowerUp(powerUp.type, this);
+        this.emit("powerUpCollected", {
+          type: powerUp.type,
+          player: player.index,
+        });
+
+        // Remove power-up
+        powerUp.dead = true;
+
+        // Increase score
+        this.score += 50;
+        player.score += 50;
+        this.emit("statsChanged");
+      }
+    });
+  }
+
+  // Compacts every entity list in place, dropping entries marked dead and
+  // handing pooled ones back to their pool
+  removeDeadEntities() {
+    [
+      [this.bullets, this.bulletPool],
+      [this.missiles, null],
+      [this.enemies, null],
+      [this.enemyBullets, this.enemyBulletPool],
+      [this.powerUps, null],
+      [this.particles, this.particlePool],
+      [this.scorePopups, null],
+    ].forEach(([list, pool]) => {
+      let kept = 0;
+      for (let i = 0; i < list.length; i++) {
+        if (!list[i].dead) {
+          list[kept++] = list[i];
+        } else if (pool) {
+          pool.release(list[i]);
+        }
+      }
+      list.length = kept;
+    });
+  }
+
+  damagePlayer(player = this.player) {
+    // Decrease lives (unless player has shield)
+    if (player.hasShield) {
+      this.emit("shieldHit", { player: player.index });
+      return;
+    }
+
+    // Lives come from the shared pool or the ship's own count. Losing the
+    // last one takes the ship down.
+    const holder = this.sharedLives ? this : player;
+    holder.lives = Math.max(0, holder.lives - 1);
+    this.updateLifeTotal();
+    this.resetCombo();
+    this.emit("lifeLost", { lives: holder.lives, player: player.index });
+    this.emit("statsChanged");
+
+    if (holder.lives === 0) {
+      this.downPlayer(player);
+    }
+  }
+
+  // Takes a ship out of play. The run ends once every ship is down; until
+  // then a partner can revive it.
+  downPlayer(player) {
+    player.down = true;
+    player.reviveProgress = 0;
+    Object.keys(player.powerUpTimers).forEach((type) => {
+      player.removePowerUp(type, this);
+    });
+    this.createExplosion(player.x, player.y, player.color, 30);
+    this.emit("playerDown", { player: player.index });
+
+    if (this.players.every((p) => p.down)) {
+      this.endGame();
+    }
+  }
+
+  // A partner hovering over a downed ship fills its revive meter; leaving
+  // drains it again
+  updateRevives(deltaTime) {
+    this.players.forEach((player) => {
+      if (!player.down) return;
+
+      const rescuer = this.getNearestPlayer(player.x, player.y);
+      const inRange =
+        rescuer &&
+        Math.hypot(rescuer.x - player.x, rescuer.y - player.y) <
+          COOP_RULES.reviveRange;
+      player.reviveProgress = inRange
+        ? player.reviveProgress + deltaTime
+        : Math.max(0, player.reviveProgress - deltaTime);
+
+      if (player.reviveProgress >= COOP_RULES.reviveTime) {
+        this.revivePlayer(player);
+      }
+    });
+  }
+
+  // Back in play with one life and a fresh shield, unless this run bans
+  // shields
+  revivePlayer(player) {
+    player.down = false;
+    player.reviveProgress = 0;
+    if (this.sharedLives) {
+      this.lives = Math.max(1, this.lives);
+    } else {
+      player.lives = 1;
+    }
+    this.updateLifeTotal();
+    if (!this.bannedPowerUps.includes("shield")) {
+      player.applyPowerUp("shield", this);
+    }
+    this.emit("playerRevived", { player: player.index });
+    this.emit("statsChanged");
+  }
+
+  // Extra lives go to the shared pool, or to every ship still in play
+  addLives(count) {
+    if (this.sharedLives) {
+      this.lives += count;
+    } else {
+      this.getActivePlayers().forEach((player) => {
+        player.lives += count;
+      });
+      this.updateLifeTotal();
+    }
+  }
+
+  // With separate lives, core.lives is the team total so solo-minded
+  // readers (HUD, save data) still see one number
+  updateLifeTotal() {
+    if (!this.sharedLives) {
+      this.lives = this.players.reduce((sum, p) => sum + p.lives, 0);
+    }
+  }
+
+  getActivePlayers() {
+    return this.players.filter((player) => !player.down);
+  }
+
+  // Nearest ship still in play, optionally only those matching a filter.
+  // Null when none qualifies.
+  getNearestPlayer(x, y, filter = null) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.players.forEach((player) => {
+      if (player.down || (filter && !filter(player))) return;
+      const distance = Math.hypot(player.x - x, player.y - y);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Circle broad phase on the enclosing radii, then the exact outlines
+  isColliding(obj1, obj2) {
+    if (!this.isWithinReach(obj1, obj2)) return false;
+    if (!obj1.hitbox && !obj2.hitbox) return true;
+
+    const shapes1 = getWorldShapes(obj1);
+    const shapes2 = getWorldShapes(obj2);
+    return shapes1.some((a) => shapes2.some((b) => shapesOverlap(a, b)));
+  }
+
+  isWithinReach(obj1, obj2) {
+    const dx = obj1.x - obj2.x;
+    const dy = obj1.y - obj2.y;
+    const reach = getBoundingRadius(obj1) + getBoundingRadius(obj2);
+    return dx * dx + dy * dy < reach * reach;
+  }
+
+  // Pickups reuse the burst effect without the explosion sound
+  createExplosion(x, y, color, count = 15, audible = true) {
+    for (let i = 0; i < count; i++) {
+      this.spawnParticle(x, y, color);
+    }
+    if (audible) {
+      this.emit("explosion", { x: x, y: y, size: count });
+    }
+  }
+
+  endGame() {
+    this.isOver = true;
+    this.emit("gameOver", {
+      score: this.score,
+      level: this.level,
+      duration: this.elapsedTime,
+      playerScores: this.players.map((player) => player.score),
+    });
+  }
+
+  // Everything needed to pick the run up again exactly where it is, as a
+  // versioned JSON-safe object. meta carries extra data for the caller (the
+  // shell's recorder, for example) under the same checksum.
+  createSnapshot(meta = {}) {
+    const state = {};
+    SNAPSHOT_FIELDS.forEach((field) => {
+      state[field] = this[field];
+    });
+    RANDOM_STREAMS.forEach((name) => {
+      state[name] = { seed: this[name].seed, state: this[name].state };
+    });
+    state.players = this.players.map(toSnapshotData);
+    state.bullets = this.bullets.map(toSnapshotData);
+    state.missiles = this.missiles.map(toSnapshotData);
+    state.enemies = this.enemies.map(toSnapshotData);
+    state.enemyBullets = this.enemyBullets.map(toSnapshotData);
+    state.powerUps = this.powerUps.map(toSnapshotData);
+    state.particles = this.particles.map(toSnapshotData);
+    state.scorePopups = this.scorePopups.map(toSnapshotData);
+    state.boss = this.boss ? toSnapshotData(this.boss) : null;
+    state.meta = meta;
+
+    // A JSON round trip so the checksum covers exactly what gets stored
+    const plain = JSON.parse(JSON.stringify(state));
+    return {
+      version: SNAPSHOT_VERSION,
+      checksum: hashSnapshotState(plain),
+      state: plain,
+    };
+  }
+
+  // Replaces the current run with a snapshot from createSnapshot() and
+  // returns its meta. Throws, leaving the current run untouched, if the
+  // snapshot is from another version, edited or malformed.
+  loadSnapshot(snapshot) {
+    verifySnapshot(snapshot);
+    const state = JSON.parse(JSON.stringify(snapshot.state));
+
+    this.resize(state.width, state.height);
+    SNAPSHOT_FIELDS.forEach((field) => {
+      this[field] = state[field];
+    });
+    RANDOM_STREAMS.forEach((name) => {
+      this[name].seed = state[name].seed;
+      this[name].state = state[name].state;
+    });
+    this.isOver = false;
+
+    this.players = state.players.map((data) => {
+      const player = fromSnapshotData(Object.create(Player.prototype), data);
+      player.hitbox = HITBOXES[SHIPS[player.ship].hitbox];
+      return player;
+    });
+    this.player = this.players[0];
+
+    // Pooled lists refill from their pools; owners become players again
+    const refill = (pool, list, entries) => {
+      const live = pool.releaseAll(list);
+      entries.forEach((data) => {
+        fromSnapshotData(pool.acquire(live), data, this.players);
+      });
+      return live;
+    };
+    this.bullets = refill(this.bulletPool, this.bullets, state.bullets);
+    this.enemyBullets = refill(
+      this.enemyBulletPool,
+      this.enemyBullets,
+      state.enemyBullets
+    );
+    this.particles = refill(this.particlePool, this.particles, state.particles);
+
+    this.missiles = state.missiles.map((data) =>
+      fromSnapshotData(Object.create(Missile.prototype), data, this.players)
+    );
+    this.enemies = state.enemies.map((data) => {
+      const enemy = fromSnapshotData(Object.create(Enemy.prototype), data);
+      enemy.hitbox = HITBOXES[ENEMY_TYPES[enemy.type].hitbox];
+      return enemy;
+    });
+    this.powerUps = state.powerUps.map((data) =>
+      fromSnapshotData(Object.create(PowerUp.prototype), data)
+    );
+    this.scorePopups = state.scorePopups.map((data) =>
+      fromSnapshotData(Object.create(ScorePopup.prototype), data)
+    );
+    if (state.boss) {
+      this.boss = fromSnapshotData(Object.create(Boss.prototype), state.boss);
+      this.boss.hitbox = HITBOXES.boss;
+    } else {
+      this.boss = null;
+    }
+
+    this.emit("statsChanged");
+    return state.meta;
+  }
+}
+
+class Player {
+  // index is 0 for player one and 1 for player two; ship names the SHIPS
+  // entry that sets its stats, weapon and look
+  constructor(x, y, index = 0, ship = "rocket") {
+    const definition = SHIPS[ship];
+    if (!definition) {
+      throw new Error(`Unknown ship "${ship}"`);
+    }
+    this.index = index;
+    this.color = PLAYER_COLORS[index];
+    this.ship = ship;
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = definition.size;
+    this.hitbox = HITBOXES[definition.hitbox];
+    this.speed = definition.speed; // pixels per second
+    this.boostedSpeed = definition.boostedSpeed; // with speed boost
+    this.shootCooldown = 0;
+    this.shootRate = definition.shootRate; // milliseconds between shots
+    this.weapon = definition.weapon;
+
+    // Power-up states - set by the POWER_UPS apply/remove hooks
+    this.hasRapidFire = false;
+    this.hasShield = false;
+    this.hasMultiShot = false;
+    this.hasSpeedBoost = false;
+    this.hasMagnet = false;
+    this.hasTimeSlow = false;
+    this.powerUpTimers = {}; // milliseconds left per active power-up
+    this.powerUpDurations = {}; // full length of each timer, for countdowns
+    this.powerUpStacks = {}; // how many times each was collected while active
+
+    this.score = 0; // points from this ship's own kills and pickups
+    this.lives = 0; // only used when co-op ships keep separate lives
+    this.down = false; // out of lives, waiting for a revive
+    this.reviveProgress = 0; // milliseconds a partner has spent reviving
+  }
+
+  update(deltaTime, core) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    if (this.down) return;
+    this.shootCooldown = Math.max(0, this.shootCooldown - deltaTime);
+
+    // Update power-up timers
+    Object.keys(this.powerUpTimers).forEach((type) => {
+      const powerUp = POWER_UPS[type];
+      if (powerUp.update) {
+        powerUp.update(this, core, deltaTime);
+      }
+      this.powerUpTimers[type] -= deltaTime;
+      if (this.powerUpTimers[type] <= 0) {
+        this.removePowerUp(type, core);
+      }
+    });
+  }
+
+  // Fires through the core's bullet pool. Returns true when the cooldown
+  // allowed a shot.
+  shoot(core) {
+    const currentShootRate = this.hasRapidFire
+      ? this.shootRate * 0.3
+      : this.shootRate;
+
+    if (this.shootCooldown <= 0) {
+      // Active power-ups can add to the shot or take it over
+      let replaced = false;
+      Object.keys(this.powerUpTimers).forEach((type) => {
+        const hook = POWER_UPS[type].shoot;
+        if (hook && hook(this, core)) replaced = true;
+      });
+
+      if (!replaced && this.hasMultiShot) {
+        // Triple shot - the whole weapon pattern, three times side by side
+        this.fireWeapon(core, -10);
+        this.fireWeapon(core, 0);
+        this.fireWeapon(core, 10);
+      } else if (!replaced) {
+        this.fireWeapon(core, 0);
+      }
+      this.shootCooldown = currentShootRate;
+      return true;
+    }
+    return false;
+  }
+
+  // One volley of the ship's SHIP_WEAPONS pattern, shifted sideways by offset
+  fireWeapon(core, offset) {
+    const weapon = SHIP_WEAPONS[this.weapon];
+    weapon.shots.forEach(([x, angle]) => {
+      core.spawnBullet(
+        this.x + offset + x,
+        this.y - this.size,
+        this,
+        angle,
+        weapon.speed,
+        weapon.size
+      );
+    });
+  }
+
+  applyPowerUp(type, core) {
+    const powerUp = POWER_UPS[type];
+    if (!powerUp) {
+      throw new Error(`Unknown power-up "${type}"`);
+    }
+
+    if (powerUp.stacking === "instant") {
+      powerUp.apply(this, core);
+      return;
+    }
+
+    const remaining = this.powerUpTimers[type];
+    if (remaining === undefined) {
+      if (powerUp.apply) powerUp.apply(this, core);
+      this.powerUpTimers[type] = powerUp.duration;
+      this.powerUpStacks[type] = 1;
+    } else if (powerUp.stacking === "extend") {
+      this.powerUpTimers[type] = Math.min(
+        powerUp.maxDuration || Infinity,
+        remaining + powerUp.duration
+      );
+      this.powerUpStacks[type]++;
+    } else {
+      this.powerUpTimers[type] = powerUp.duration;
+      this.powerUpStacks[type]++;
+    }
+    this.powerUpDurations[type] = this.powerUpTimers[type];
+  }
+
+  // True while a power-up is in its final seconds and should blink
+  isPowerUpBlinking(type) {
+    const remaining = this.powerUpTimers[type];
+    return (
+      remaining < POWER_UP_WARNING_TIME && Math.floor(remaining / 150) % 2 === 0
+    );
+  }
+
+  removePowerUp(type, core) {
+    const powerUp = POWER_UPS[type];
+    if (powerUp.remove) {
+      powerUp.remove(this, core);
+    }
+    delete this.powerUpTimers[type];
+    delete this.powerUpDurations[type];
+    delete this.powerUpStacks[type];
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.translate(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha)
+    );
+
+    // A downed ship is a dim wreck with its revive meter around it
+    if (this.down) {
+      ctx.globalAlpha = 0.35;
+    }
+
+    switch (this.ship) {
+      case "interceptor":
+        this.drawInterceptor(ctx);
+        break;
+      case "bulwark":
+        this.drawBulwark(ctx);
+        break;
+      case "wraith":
+        this.drawWraith(ctx);
+        break;
+      default:
+        this.drawRocket(ctx);
+    }
+
+    // Power-up visual effects, blinking as they run out
+    Object.keys(this.powerUpTimers).forEach((type) => {
+      const draw = POWER_UPS[type].draw;
+      if (draw && !this.isPowerUpBlinking(type)) {
+        ctx.save();
+        draw(ctx, this);
+        ctx.restore();
+      }
+    });
+
+    if (this.down) {
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = this.color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(
+        0,
+        0,
+        this.size * 1.8,
+        -Math.PI / 2,
+        -Math.PI / 2 +
+          (this.reviveProgress / COOP_RULES.reviveTime) * Math.PI * 2
+      );
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  // The default ship: a rocket with fins and a porthole
+  drawRocket(ctx) {
+    // Rocket exhaust/flames
+    ctx.fillStyle = "#ff4400";
+    ctx.shadowColor = "#ff4400";
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.3, this.size * 0.8);
+    ctx.lineTo(0, this.size * 1.5);
+    ctx.lineTo(this.size * 0.3, this.size * 0.8);
+    ctx.closePath();
+    ctx.fill();
+
+    // Inner flame
+    ctx.fillStyle = "#ffaa00";
+    ctx.shadowBlur = 5;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.2, this.size * 0.8);
+    ctx.lineTo(0, this.size * 1.2);
+    ctx.lineTo(this.size * 0.2, this.size * 0.8);
+    ctx.closePath();
+    ctx.fill();
+
+    // Rocket body (main cylinder)
+    ctx.fillStyle = "#cccccc";
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 8;
+    ctx.fillRect(
+      -this.size * 0.4,
+      -this.size * 0.2,
+      this.size * 0.8,
+      this.size * 1.2
+    );
+
+    // Rocket nose cone
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.moveTo(0, -this.size);
+    ctx.lineTo(-this.size * 0.4, -this.size * 0.2);
+    ctx.lineTo(this.size * 0.4, -this.size * 0.2);
+    ctx.closePath();
+    ctx.fill();
+
+    // Rocket fins
+    ctx.fillStyle = "#888888";
+    ctx.shadowBlur = 5;
+    // Left fin
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.4, this.size * 0.6);
+    ctx.lineTo(-this.size * 0.8, this.size * 1.0);
+    ctx.lineTo(-this.size * 0.4, this.size * 1.0);
+    ctx.closePath();
+    ctx.fill();
+
+    // Right fin
+    ctx.beginPath();
+    ctx.moveTo(this.size * 0.4, this.size * 0.6);
+    ctx.lineTo(this.size * 0.8, this.size * 1.0);
+    ctx.lineTo(this.size * 0.4, this.size * 1.0);
+    ctx.closePath();
+    ctx.fill();
+
+    // Rocket details/windows
+    ctx.fillStyle = "#0088ff";
+    ctx.shadowColor = "#0088ff";
+    ctx.shadowBlur = 3;
+    ctx.beginPath();
+    ctx.arc(0, -this.size * 0.5, this.size * 0.15, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Body stripes
+    ctx.fillStyle = this.color;
+    ctx.fillRect(
+      -this.size * 0.35,
+      this.size * 0.1,
+      this.size * 0.7,
+      this.size * 0.1
+    );
+    ctx.fillRect(
+      -this.size * 0.35,
+      this.size * 0.4,
+      this.size * 0.7,
+      this.size * 0.1
+    );
+  }
+
+  // Twin engine glows behind a delta wing, matching HITBOXES.interceptor
+  drawInterceptor(ctx) {
+    const s = this.size;
+    ctx.fillStyle = "#ff8800";
+    ctx.shadowColor = "#ff8800";
+    ctx.shadowBlur = 8;
+    [-0.35, 0.35].forEach((x) => {
+      ctx.beginPath();
+      ctx.moveTo((x - 0.12) * s, 0.65 * s);
+      ctx.lineTo(x * s, 1.15 * s);
+      ctx.lineTo((x + 0.12) * s, 0.65 * s);
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    ctx.fillStyle = "#bbbbcc";
+    ctx.shadowColor = this.color;
+    ctx.beginPath();
+    ctx.moveTo(0, -1.1 * s);
+    ctx.lineTo(0.9 * s, 0.8 * s);
+    ctx.lineTo(0, 0.5 * s);
+    ctx.lineTo(-0.9 * s, 0.8 * s);
+    ctx.closePath();
+    ctx.fill();
+
+    // Cockpit and wing stripes
+    ctx.fillStyle = "#0088ff";
+    ctx.beginPath();
+    ctx.moveTo(0, -0.6 * s);
+    ctx.lineTo(0.15 * s, -0.1 * s);
+    ctx.lineTo(-0.15 * s, -0.1 * s);
+    ctx.closePath();
+    ctx.fill();
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-0.25 * s, -0.1 * s);
+    ctx.lineTo(-0.7 * s, 0.65 * s);
+    ctx.moveTo(0.25 * s, -0.1 * s);
+    ctx.lineTo(0.7 * s, 0.65 * s);
+    ctx.stroke();
+  }
+
+  // Armored hull between two gun pods, matching HITBOXES.bulwark
+  drawBulwark(ctx) {
+    const s = this.size;
+    ctx.fillStyle = "#ff4400";
+    ctx.shadowColor = "#ff4400";
+    ctx.shadowBlur = 8;
+    ctx.fillRect(-0.3 * s, 0.9 * s, 0.6 * s, 0.3 * s);
+
+    ctx.fillStyle = "#888899";
+    ctx.shadowColor = this.color;
+    ctx.fillRect(-0.95 * s, -0.2 * s, 0.45 * s, s);
+    ctx.fillRect(0.5 * s, -0.2 * s, 0.45 * s, s);
+
+    ctx.fillStyle = "#aaaaaa";
+    ctx.beginPath();
+    ctx.moveTo(0, -0.9 * s);
+    ctx.lineTo(0.5 * s, -0.5 * s);
+    ctx.lineTo(0.5 * s, 0.9 * s);
+    ctx.lineTo(-0.5 * s, 0.9 * s);
+    ctx.lineTo(-0.5 * s, -0.5 * s);
+    ctx.closePath();
+    ctx.fill();
+
+    // Armor bands and a wide visor
+    ctx.fillStyle = this.color;
+    ctx.fillRect(-0.45 * s, 0.2 * s, 0.9 * s, 0.1 * s);
+    ctx.fillRect(-0.45 * s, 0.5 * s, 0.9 * s, 0.1 * s);
+    ctx.fillRect(-0.9 * s, -0.1 * s, 0.35 * s, 0.1 * s);
+    ctx.fillRect(0.55 * s, -0.1 * s, 0.35 * s, 0.1 * s);
+    ctx.fillStyle = "#0088ff";
+    ctx.fillRect(-0.3 * s, -0.4 * s, 0.6 * s, 0.2 * s);
+  }
+
+  // A needle hull with swept wings, matching HITBOXES.wraith
+  drawWraith(ctx) {
+    const s = this.size;
+    ctx.fillStyle = "#aa66ff";
+    ctx.shadowColor = "#aa66ff";
+    ctx.shadowBlur = 10;
+    ctx.beginPath();
+    ctx.moveTo(-0.15 * s, 0.8 * s);
+    ctx.lineTo(0, 1.4 * s);
+    ctx.lineTo(0.15 * s, 0.8 * s);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = "#555566";
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.moveTo(-0.2 * s, 0);
+    ctx.lineTo(-s, 0.9 * s);
+    ctx.lineTo(-0.2 * s, 0.7 * s);
+    ctx.moveTo(0.2 * s, 0);
+    ctx.lineTo(s, 0.9 * s);
+    ctx.lineTo(0.2 * s, 0.7 * s);
+    ctx.fill();
+
+    ctx.fillStyle = "#dddddd";
+    ctx.beginPath();
+    ctx.moveTo(0, -1.3 * s);
+    ctx.lineTo(0.2 * s, -0.2 * s);
+    ctx.lineTo(0.2 * s, 0.8 * s);
+    ctx.lineTo(-0.2 * s, 0.8 * s);
+    ctx.lineTo(-0.2 * s, -0.2 * s);
+    ctx.closePath();
+    ctx.fill();
+
+    // Glowing spine
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, -0.9 * s);
+    ctx.lineTo(0, 0.6 * s);
+    ctx.stroke();
+  }
+}
+
+// Bullets, enemy bullets and particles are pooled: the constructor makes a
+// blank object and init() sets it up each time it is taken from the pool
+class Bullet {
+  constructor() {
+    this.dead = true;
+  }
+
+  // angle is in degrees from straight up, positive to the right
+  init(x, y, owner = null, angle = 0, speed = 480, size = 3) {
+    this.dead = false; // Removed at the end of the simulation step
+    this.owner = owner; // Player credited with what it hits
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.size = size;
+    this.speed = speed; // pixels per second
+    const radians = (angle * Math.PI) / 180;
+    this.vx = Math.sin(radians) * speed;
+    this.vy = -Math.cos(radians) * speed;
+    return this;
+  }
+
+  update(deltaTime) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * (deltaTime / 1000);
+    this.y += this.vy * (deltaTime / 1000);
+  }
+
+  draw(ctx, alpha = 1) {
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    ctx.fillStyle = "#ffff00";
+    ctx.shadowColor = "#ffff00";
+    ctx.shadowBlur = 5;
+    ctx.fillRect(
+      x - this.size / 2,
+      y - this.size / 2,
+      this.size,
+      this.size * 2
+    );
+  }
+}
+
+// Hostile bullet patterns, kept as plain data so designers can tune them.
+// Angles are in degrees: the pattern is centered on straight down, or on the
+// player when aimed is true, and its shots are fanned evenly across spread.
+const BULLET_PATTERNS = {
+  aimed: {
+    count: 1,
+    spread: 0,
+    speed: 220, // pixels per second
+    aimed: true,
+    size: 4,
+    color: "#ff8844",
+  },
+  spread: {
+    count: 5,
+    spread: 60,
+    speed: 180,
+    aimed: true,
+    size: 4,
+    color: "#ff4488",
+  },
+  radial: {
+    count: 12,
+    spread: 360,
+    speed: 140,
+    aimed: false,
+    size: 5,
+    color: "#88ff44",
+  },
+};
+
+class EnemyBullet {
+  constructor() {
+    this.dead = true;
+  }
+
+  init(x, y, angle, pattern) {
+    this.dead = false; // Removed at the end of the simulation step
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.vx = Math.cos(angle) * pattern.speed; // pixels per second
+    this.vy = Math.sin(angle) * pattern.speed;
+    this.size = pattern.size;
+    this.color = pattern.color;
+    return this;
+  }
+
+  update(deltaTime) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.fillStyle = this.color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.arc(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha),
+      this.size,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+// Difficulty presets. spawnRate scales the procedural spawn interval (higher
+// is slower), enemySpeed and fireRate scale every enemy's speed and shooting.
+const DIFFICULTY_PRESETS = {
+  easy: { lives: 5, spawnRate: 1.3, enemySpeed: 0.8, fireRate: 0.7 },
+  normal: { lives: 3, spawnRate: 1, enemySpeed: 1, fireRate: 1 },
+  hard: { lives: 2, spawnRate: 0.8, enemySpeed: 1.2, fireRate: 1.4 },
+};
+
+// Thresholds a level script can require in "advance"
+const ADVANCE_KEYS = ["score", "kills", "time"];
+
+// Kills landing within `window` milliseconds of each other chain into a
+// combo; every `killsPerStep` kills raise the score multiplier by one
+const COMBO_RULES = {
+  window: 2000,
+  killsPerStep: 5,
+  maxMultiplier: 8,
+};
+// Popup color for each multiplier, x1 to x8
+const COMBO_COLORS = [
+  "#ffffff",
+  "#00ffff",
+  "#00ff88",
+  "#ffff00",
+  "#ffaa00",
+  "#ff6600",
+  "#ff00ff",
+  "#ff0044",
+];
+
+// Ships in the hangar. speed and boostedSpeed are pixels per second,
+// shootRate is milliseconds between shots and size scales both the drawing
+// and the hitbox. lives is added to the difficulty's starting lives. weapon
+// names the SHIP_WEAPONS pattern and hitbox the HITBOXES outline matching how
+// Player.draw draws it. unlock is the milestone that makes the ship available
+// - a best single-run score or level, or a number of bosses defeated - or
+// null for ships everyone starts with.
+const SHIPS = {
+  rocket: {
+    name: "Rocket",
+    description: "Balanced all-rounder",
+    speed: 300,
+    boostedSpeed: 480,
+    shootRate: 150,
+    size: 18,
+    lives: 0,
+    weapon: "single",
+    hitbox: "rocket",
+    unlock: null,
+  },
+  interceptor: {
+    name: "Interceptor",
+    description: "Fast and small with twin blasters, but fragile",
+    speed: 380,
+    boostedSpeed: 560,
+    shootRate: 130,
+    size: 15,
+    lives: -1,
+    weapon: "twin",
+    hitbox: "interceptor",
+    unlock: { stat: "bestScore", value: 5000, label: "Score 5000 in one run" },
+  },
+  bulwark: {
+    name: "Bulwark",
+    description: "Slow, armored gunship with a wide scatter gun",
+    speed: 230,
+    boostedSpeed: 380,
+    shootRate: 240,
+    size: 22,
+    lives: 1,
+    weapon: "spread",
+    hitbox: "bulwark",
+    unlock: { stat: "bestLevel", value: 5, label: "Reach level 5" },
+  },
+  wraith: {
+    name: "Wraith",
+    description: "Rapid needle gun on a slim, hard-to-hit hull",
+    speed: 340,
+    boostedSpeed: 520,
+    shootRate: 90,
+    size: 16,
+    lives: 0,
+    weapon: "needle",
+    hitbox: "wraith",
+    unlock: { stat: "bossesDefeated", value: 1, label: "Defeat a boss" },
+  },
+};
+
+// Primary fire patterns. Each shot is [x offset, angle in degrees from
+// straight up]; speed and size override the Bullet defaults when set.
+const SHIP_WEAPONS = {
+  single: { name: "Pulse Cannon", shots: [[0, 0]] },
+  twin: {
+    name: "Twin Blasters",
+    shots: [
+      [-7, 0],
+      [7, 0],
+    ],
+  },
+  spread: {
+    name: "Scatter Gun",
+    shots: [
+      [-8, -12],
+      [0, 0],
+      [8, 12],
+    ],
+    size: 4,
+  },
+  needle: { name: "Needle Gun", shots: [[0, 0]], speed: 720, size: 2 },
+};
+
+// Accent color per ship: player one, player two
+const PLAYER_COLORS = ["#00ffff", "#ff66ff"];
+// A downed co-op ship is revived by its partner staying within reviveRange
+// pixels of it for reviveTime milliseconds
+const COOP_RULES = {
+  reviveRange: 60,
+  reviveTime: 3000,
+};
+
+// Rule changes the daily challenge rotates through. apply(core) runs right
+// after reset(), before the first step.
+const DAILY_MODIFIERS = {
+  noShields: {
+    label: "No Shields",
+    apply: (core) => core.bannedPowerUps.push("shield"),
+  },
+  fastEnemies: {
+    label: "Double Enemy Speed",
+    apply: (core) => {
+      core.preset.enemySpeed *= 2;
+    },
+  },
+  oneLife: {
+    label: "One Life",
+    apply: (core) => {
+      if (core.sharedLives) {
+        core.lives = 1;
+      } else {
+        core.players.forEach((player) => {
+          player.lives = 1;
+        });
+        core.updateLifeTotal();
+      }
+    },
+  },
+  triggerHappy: {
+    label: "Trigger-Happy Enemies",
+    apply: (core) => {
+      core.preset.fireRate *= 1.5;
+    },
+  },
+};
+
+// Everyone gets the same run on the same day: the UTC date picks the seed
+// and one or two modifiers. Returns { day: "YYYY-MM-DD", seed, modifiers }.
+function getDailyChallenge(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  const seed = Number(day.replace(/-/g, ""));
+  const rng = new Random(seed);
+  const names = Object.keys(DAILY_MODIFIERS);
+  const count = rng.next() < 0.5 ? 1 : 2;
+  const modifiers = [];
+  while (modifiers.length < count) {
+    const name = rng.pick(names);
+    if (!modifiers.includes(name)) modifiers.push(name);
+  }
+  return { day: day, seed: seed, modifiers: modifiers };
+}
+
+// Formations a scripted wave can fly in
+const WAVE_FORMATIONS = ["line", "v", "column", "random"];
+
+// Collision outlines in multiples of an entity's size, in its unrotated frame.
+// They match the drawn shapes; concave outlines are split into convex pieces
+// for the polygon test. Circles are [x, y, radius].
+const HITBOXES = {
+  rocket: defineHitbox([
+    // Nose cone and body
+    {
+      polygon: [
+        [0, -1],
+        [0.4, -0.2],
+        [0.4, 1],
+        [-0.4, 1],
+        [-0.4, -0.2],
+      ],
+    },
+    // Fins
+    {
+      polygon: [
+        [-0.4, 0.6],
+        [-0.4, 1],
+        [-0.8, 1],
+      ],
+    },
+    {
+      polygon: [
+        [0.4, 0.6],
+        [0.8, 1],
+        [0.4, 1],
+      ],
+    },
+  ]),
+  arrowhead: defineHitbox([
+    {
+      polygon: [
+        [0, -1],
+        [0, 0.5],
+        [-1, 1],
+      ],
+    },
+    {
+      polygon: [
+        [0, -1],
+        [1, 1],
+        [0, 0.5],
+      ],
+    },
+  ]),
+  diamond: defineHitbox([
+    {
+      polygon: [
+        [0, -1],
+        [0.5, 0],
+        [0, 1],
+        [-0.5, 0],
+      ],
+    },
+  ]),
+  dart: defineHitbox([
+    {
+      polygon: [
+        [0, -1.4],
+        [0, 0.6],
+        [-0.6, 1],
+      ],
+    },
+    {
+      polygon: [
+        [0, -1.4],
+        [0.6, 1],
+        [0, 0.6],
+      ],
+    },
+  ]),
+  hexagon: defineHitbox([
+    {
+      polygon: [
+        [1, 0],
+        [0.5, 0.866],
+        [-0.5, 0.866],
+        [-1, 0],
+        [-0.5, -0.866],
+        [0.5, -0.866],
+      ],
+    },
+  ]),
+  // Delta wing, as drawn by Player.drawInterceptor
+  interceptor: defineHitbox([
+    {
+      polygon: [
+        [0, -1.1],
+        [0, 0.5],
+        [-0.9, 0.8],
+      ],
+    },
+    {
+      polygon: [
+        [0, -1.1],
+        [0.9, 0.8],
+        [0, 0.5],
+      ],
+    },
+  ]),
+  // Hull and gun pods, as drawn by Player.drawBulwark
+  bulwark: defineHitbox([
+    {
+      polygon: [
+        [0, -0.9],
+        [0.5, -0.5],
+        [0.5, 0.9],
+        [-0.5, 0.9],
+        [-0.5, -0.5],
+      ],
+    },
+    {
+      polygon: [
+        [-0.95, -0.2],
+        [-0.5, -0.2],
+        [-0.5, 0.8],
+        [-0.95, 0.8],
+      ],
+    },
+    {
+      polygon: [
+        [0.5, -0.2],
+        [0.95, -0.2],
+        [0.95, 0.8],
+        [0.5, 0.8],
+      ],
+    },
+  ]),
+  // Needle hull and swept wings, as drawn by Player.drawWraith
+  wraith: defineHitbox([
+    {
+      polygon: [
+        [0, -1.3],
+        [0.2, -0.2],
+        [0.2, 0.8],
+        [-0.2, 0.8],
+        [-0.2, -0.2],
+      ],
+    },
+    {
+      polygon: [
+        [-0.2, 0],
+        [-0.2, 0.7],
+        [-1, 0.9],
+      ],
+    },
+    {
+      polygon: [
+        [0.2, 0],
+        [1, 0.9],
+        [0.2, 0.7],
+      ],
+    },
+  ]),
+  // Three pods, as drawn by Enemy.drawSplitter
+  pods: defineHitbox([
+    { circle: [0.45, 0, 0.5] },
+    { circle: [-0.225, 0.39, 0.5] },
+    { circle: [-0.225, -0.39, 0.5] },
+  ]),
+  // Mothership hull and swept wings, as drawn by Boss.draw
+  boss: defineHitbox([
+    {
+      polygon: [
+        [-0.3, -0.6],
+        [0.3, -0.6],
+        [0.8, -0.3],
+        [0.5, 0.3],
+        [0, 0.8],
+        [-0.5, 0.3],
+        [-0.8, -0.3],
+      ],
+    },
+    {
+      polygon: [
+        [-0.5, 0.3],
+        [-1, 0.4],
+        [-0.8, -0.3],
+      ],
+    },
+    {
+      polygon: [
+        [0.5, 0.3],
+        [0.8, -0.3],
+        [1, 0.4],
+      ],
+    },
+  ]),
+};
+
+// Enemy archetypes. Types join the spawn mix once the level reaches
+// unlockLevel; weight sets how often they are picked after that. Types with a
+// fire entry shoot the named BULLET_PATTERNS entry every interval milliseconds.
+// hitbox names the HITBOXES outline matching how the type is drawn.
+const ENEMY_TYPES = {
+  drifter: {
+    hp: 1,
+    score: 100,
+    size: 12,
+    speed: [120, 240], // pixels per second
+    color: "#ff4444",
+    hitbox: "arrowhead",
+    unlockLevel: 1,
+    weight: 5,
+  },
+  weaver: {
+    hp: 1,
+    score: 150,
+    size: 11,
+    speed: [90, 130],
+    color: "#ff66cc",
+    hitbox: "diamond",
+    unlockLevel: 2,
+    weight: 3,
+    amplitude: 70, // pixels of side-to-side sway
+    frequency: 3, // radians per second
+    fire: { pattern: "aimed", interval: [1800, 3000] },
+  },
+  diver: {
+    hp: 1,
+    score: 200,
+    size: 10,
+    speed: [260, 320],
+    color: "#ffaa00",
+    hitbox: "dart",
+    unlockLevel: 3,
+    weight: 2,
+    turnRate: 2.5, // radians per second while homing
+  },
+  tank: {
+    hp: 5,
+    score: 400,
+    size: 18,
+    speed: [45, 65],
+    color: "#8899ff",
+    hitbox: "hexagon",
+    unlockLevel: 4,
+    weight: 1,
+    fire: { pattern: "spread", interval: [2500, 3500] },
+  },
+  splitter: {
+    hp: 2,
+    score: 250,
+    size: 15,
+    speed: [80, 110],
+    color: "#44ff88",
+    hitbox: "pods",
+    unlockLevel: 5,
+    weight: 2,
+    splitInto: "shard",
+    splitCount: 3,
+    fire: { pattern: "radial", interval: [3000, 4500] },
+  },
+  // Only spawned when a splitter breaks apart
+  shard: {
+    hp: 1,
+    score: 50,
+    size: 7,
+    speed: [170, 220],
+    color: "#aaffcc",
+    hitbox: "arrowhead",
+    unlockLevel: Infinity,
+    weight: 0,
+  },
+};
+
+class Enemy {
+  constructor(x, y, rng, type = "drifter") {
+    const config = ENEMY_TYPES[type];
+
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.type = type;
+    this.size = config.size;
+    this.hitbox = HITBOXES[config.hitbox];
+    this.color = config.color;
+    this.hp = config.hp;
+    this.maxHp = config.hp;
+    this.scoreValue = config.score;
+    this.speed = rng.range(config.speed[0], config.speed[1]); // pixels per second
+    this.rotation = 0;
+    this.rotationSpeed = 1.2; // radians per second
+    this.age = 0; // seconds alive, drives the movement patterns
+    this.baseX = x;
+    this.heading = Math.PI / 2; // straight down
+    this.flashTimer = 0; // milliseconds of damage flash left
+    this.fireCooldown = config.fire ? rng.range(...config.fire.interval) : 0;
+    this.dead = false; // Removed at the end of the simulation step
+  }
+
+  get config() {
+    return ENEMY_TYPES[this.type];
+  }
+
+  // Applies damage and returns true when the enemy is destroyed
+  hit(damage = 1) {
+    this.hp -= damage;
+    this.flashTimer = 100;
+    return this.hp <= 0;
+  }
+
+  update(deltaTime, target) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.age += dt;
+    this.flashTimer = Math.max(0, this.flashTimer - deltaTime);
+    this.fireCooldown -= deltaTime;
+
+    switch (this.type) {
+      case "weaver":
+        // Sine-wave sway around the spawn column
+        this.x =
+          this.baseX +
+          Math.sin(this.age * this.config.frequency) * this.config.amplitude;
+        this.y += this.speed * dt;
+        // Bank into each turn of the sway
+        this.rotation = Math.cos(this.age * this.config.frequency) * 0.4;
+        break;
+      case "diver":
+        // Home on the player until level with them, then commit to the dive
+        if (target && this.y < target.y - 40) {
+          const desired = Math.atan2(target.y - this.y, target.x - this.x);
+          let turn = desired - this.heading;
+          turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+          const maxTurn = this.config.turnRate * dt;
+          this.heading += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        }
+        this.x += Math.cos(this.heading) * this.speed * dt;
+        this.y += Math.sin(this.heading) * this.speed * dt;
+        // Point the nose along the direction of travel
+        this.rotation = this.heading + Math.PI / 2;
+        break;
+      case "shard":
+        this.x += Math.cos(this.heading) * this.speed * dt;
+        this.y += Math.sin(this.heading) * this.speed * dt;
+        this.rotation += this.rotationSpeed * 4 * dt;
+        break;
+      default:
+        this.y += this.speed * dt;
+        this.rotation += this.rotationSpeed * dt;
+    }
+  }
+
+  // True when this enemy's weapon has cooled down and it is on screen
+  canFire(fieldHeight) {
+    return (
+      !!this.config.fire &&
+      this.fireCooldown <= 0 &&
+      this.y > 0 &&
+      this.y < fieldHeight * 0.7
+    );
+  }
+
+  // Spawns the smaller enemies a splitter breaks into
+  split(rng) {
+    const { splitInto, splitCount } = this.config;
+    const children = [];
+    if (!splitInto) return children;
+
+    for (let i = 0; i < splitCount; i++) {
+      const child = new Enemy(this.x, this.y, rng, splitInto);
+      // Fan the pieces out across the lower half-circle
+      child.heading = Math.PI * ((i + 1) / (splitCount + 1));
+      children.push(child);
+    }
+    return children;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.translate(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha)
+    );
+    ctx.rotate(this.rotation);
+
+    // Damage flash overrides the body color for a moment
+    const color = this.flashTimer > 0 ? "#ffffff" : this.color;
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 8;
+
+    switch (this.type) {
+      case "weaver":
+        this.drawWeaver(ctx);
+        break;
+      case "diver":
+        this.drawDiver(ctx);
+        break;
+      case "tank":
+        this.drawTank(ctx);
+        break;
+      case "splitter":
+        this.drawSplitter(ctx);
+        break;
+      default:
+        this.drawDrifter(ctx);
+    }
+
+    ctx.restore();
+  }
+
+  drawDrifter(ctx) {
+    // Enemy body
+    ctx.beginPath();
+    ctx.moveTo(0, -this.size);
+    ctx.lineTo(-this.size, this.size);
+    ctx.lineTo(0, this.size * 0.5);
+    ctx.lineTo(this.size, this.size);
+    ctx.closePath();
+    ctx.fill();
+
+    // Enemy glow
+    ctx.stroke();
+  }
+
+  drawWeaver(ctx) {
+    // Diamond body with swept wings
+    ctx.beginPath();
+    ctx.moveTo(0, this.size);
+    ctx.lineTo(-this.size * 0.5, 0);
+    ctx.lineTo(0, -this.size);
+    ctx.lineTo(this.size * 0.5, 0);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.5, 0);
+    ctx.lineTo(-this.size * 1.2, -this.size * 0.6);
+    ctx.moveTo(this.size * 0.5, 0);
+    ctx.lineTo(this.size * 1.2, -this.size * 0.6);
+    ctx.stroke();
+  }
+
+  drawDiver(ctx) {
+    // Narrow dart - the nose points along the dive
+    ctx.beginPath();
+    ctx.moveTo(0, -this.size * 1.4);
+    ctx.lineTo(-this.size * 0.6, this.size);
+    ctx.lineTo(0, this.size * 0.6);
+    ctx.lineTo(this.size * 0.6, this.size);
+    ctx.closePath();
+    ctx.fill();
+
+    // Engine glow
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.arc(0, this.size * 0.7, this.size * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  drawTank(ctx) {
+    // Armored hexagon hull
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const angle = (i * Math.PI) / 3;
+      const x = Math.cos(angle) * this.size;
+      const y = Math.sin(angle) * this.size;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    // Armor plating
+    ctx.strokeStyle = "#334";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, this.size * 0.6, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Remaining hit points as pips around the core
+    ctx.fillStyle = "#ffffff";
+    ctx.shadowBlur = 0;
+    for (let i = 0; i < this.hp; i++) {
+      const angle = (i / this.maxHp) * Math.PI * 2;
+      ctx.beginPath();
+      ctx.arc(
+        Math.cos(angle) * this.size * 0.35,
+        Math.sin(angle) * this.size * 0.35,
+        2,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+  }
+
+  drawSplitter(ctx) {
+    // Cluster of pods that break apart on death
+    const pods = this.config.splitCount;
+    for (let i = 0; i < pods; i++) {
+      const angle = (i / pods) * Math.PI * 2;
+      ctx.beginPath();
+      ctx.arc(
+        Math.cos(angle) * this.size * 0.45,
+        Math.sin(angle) * this.size * 0.45,
+        this.size * 0.5,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+
+    ctx.fillStyle = "#000000";
+    ctx.beginPath();
+    ctx.arc(0, 0, this.size * 0.25, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Seeking missile from the homing power-up
+class Missile {
+  constructor(x, y, angle, owner = null) {
+    this.dead = false; // Removed at the end of the simulation step
+    this.owner = owner; // Player credited with what it hits
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.angle = angle; // radians, direction of travel
+    this.speed = 360; // pixels per second
+    this.turnRate = 5; // radians per second
+    this.size = 4;
+    this.damage = 2;
+    this.life = 2500; // milliseconds before it burns out
+  }
+
+  update(deltaTime, target) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.life -= deltaTime;
+
+    // Turn towards the target, limited by the turn rate
+    if (target) {
+      const desired = Math.atan2(target.y - this.y, target.x - this.x);
+      let turn = desired - this.angle;
+      turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+      const maxTurn = this.turnRate * dt;
+      this.angle += Math.max(-maxTurn, Math.min(maxTurn, turn));
+    }
+
+    this.x += Math.cos(this.angle) * this.speed * dt;
+    this.y += Math.sin(this.angle) * this.speed * dt;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.translate(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha)
+    );
+    ctx.rotate(this.angle);
+
+    // Exhaust trail
+    ctx.fillStyle = "#ffaa00";
+    ctx.shadowColor = "#ff8800";
+    ctx.shadowBlur = 8;
+    ctx.fillRect(-10, -1.5, 6, 3);
+
+    // Body
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.moveTo(6, 0);
+    ctx.lineTo(-4, -3);
+    ctx.lineTo(-4, 3);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+  }
+}
+
+// Boss fight phases. A phase starts once the boss's remaining health drops
+// below healthBelow (a fraction of max); attacks name BULLET_PATTERNS entries.
+const BOSS_PHASES = [
+  {
+    healthBelow: 1,
+    sweepSpeed: 0.6, // radians per second of the side-to-side sweep
+    attacks: [{ pattern: "spread", interval: 1600 }],
+  },
+  {
+    healthBelow: 0.66,
+    sweepSpeed: 0.9,
+    attacks: [
+      { pattern: "spread", interval: 1400 },
+      { pattern: "aimed", interval: 700 },
+    ],
+  },
+  {
+    healthBelow: 0.33,
+    sweepSpeed: 1.3,
+    attacks: [
+      { pattern: "radial", interval: 1800 },
+      { pattern: "aimed", interval: 450 },
+    ],
+  },
+];
+
+class Boss {
+  constructor(x, level) {
+    this.x = x;
+    this.y = -80;
+    this.prevX = x;
+    this.prevY = this.y;
+    this.baseX = x;
+    this.targetY = 130; // where the boss stops after flying in
+    this.entrySpeed = 90; // pixels per second
+    this.size = 55;
+    this.hitbox = HITBOXES.boss;
+    this.color = "#ff3366";
+    this.maxHp = 80 + level * 4;
+    this.hp = this.maxHp;
+    this.phase = 0;
+    this.age = 0; // seconds since the boss finished its entrance
+    this.flashTimer = 0;
+    this.attackTimers = this.phaseConfig.attacks.map((a) => a.interval);
+
+    // Offsets from the boss center - bullets here deal extra damage
+    this.weakPoints = [
+      { x: -38, y: 12, size: 9 },
+      { x: 38, y: 12, size: 9 },
+      { x: 0, y: 30, size: 11 },
+    ];
+  }
+
+  get phaseConfig() {
+    return BOSS_PHASES[this.phase];
+  }
+
+  get hasEntered() {
+    return this.y >= this.targetY;
+  }
+
+  update(deltaTime, fieldWidth) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.flashTimer = Math.max(0, this.flashTimer - deltaTime);
+
+    if (!this.hasEntered) {
+      this.y = Math.min(this.targetY, this.y + this.entrySpeed * dt);
+      return;
+    }
+
+    // Sweep across the playfield, faster in later phases
+    this.age += dt * this.phaseConfig.sweepSpeed;
+    const range = fieldWidth / 2 - this.size - 10;
+    this.x = this.baseX + Math.sin(this.age) * range;
+
+    this.attackTimers = this.attackTimers.map((timer) => timer - deltaTime);
+  }
+
+  // World-space positions of the weak points, for collision checks
+  getWeakPoints() {
+    return this.weakPoints.map((point) => ({
+      x: this.x + point.x,
+      y: this.y + point.y,
+      size: point.size,
+    }));
+  }
+
+  // Applies damage and returns true when the boss is destroyed
+  hit(damage) {
+    this.hp -= damage;
+    this.flashTimer = 80;
+
+    // Move into later phases as health drops
+    const next = BOSS_PHASES[this.phase + 1];
+    if (next && this.hp / this.maxHp < next.healthBelow) {
+      this.phase++;
+      this.attackTimers = this.phaseConfig.attacks.map((a) => a.interval);
+    }
+
+    return this.hp <= 0;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.translate(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha)
+    );
+
+    const color = this.flashTimer > 0 ? "#ffffff" : this.color;
+    ctx.fillStyle = color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 20;
+
+    // Hull - a wide mothership with swept wings
+    ctx.beginPath();
+    ctx.moveTo(0, this.size * 0.8);
+    ctx.lineTo(-this.size * 0.5, this.size * 0.3);
+    ctx.lineTo(-this.size, this.size * 0.4);
+    ctx.lineTo(-this.size * 0.8, -this.size * 0.3);
+    ctx.lineTo(-this.size * 0.3, -this.size * 0.6);
+    ctx.lineTo(this.size * 0.3, -this.size * 0.6);
+    ctx.lineTo(this.size * 0.8, -this.size * 0.3);
+    ctx.lineTo(this.size, this.size * 0.4);
+    ctx.lineTo(this.size * 0.5, this.size * 0.3);
+    ctx.closePath();
+    ctx.fill();
+
+    // Armor seams
+    ctx.strokeStyle = "#330011";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-this.size * 0.3, -this.size * 0.6);
+    ctx.lineTo(0, this.size * 0.2);
+    ctx.lineTo(this.size * 0.3, -this.size * 0.6);
+    ctx.stroke();
+
+    // Weak points pulse so players know where to aim
+    const pulse = Math.sin(this.age * 8) * 0.3 + 0.7;
+    ctx.shadowColor = "#ffff00";
+    ctx.shadowBlur = 12 * pulse;
+    this.weakPoints.forEach((point) => {
+      ctx.fillStyle = `rgba(255, 255, 0, ${pulse})`;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, point.size, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.restore();
+  }
+}
+
+class Particle {
+  constructor() {
+    this.dead = true;
+  }
+
+  init(x, y, color, rng) {
+    this.dead = false; // Removed at the end of the simulation step
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.vx = rng.range(-240, 240); // pixels per second
+    this.vy = rng.range(-240, 240);
+    this.life = 1;
+    this.decay = 1.2; // life lost per second
+    this.drag = 0.3; // fraction of velocity kept after one second
+    this.size = rng.range(2, 6);
+    this.color = color;
+    return this;
+  }
+
+  update(deltaTime) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.life -= this.decay * dt;
+    const damping = Math.pow(this.drag, dt);
+    this.vx *= damping;
+    this.vy *= damping;
+  }
+
+  draw(ctx, alpha = 1) {
+    const x = lerp(this.prevX, this.x, alpha);
+    const y = lerp(this.prevY, this.y, alpha);
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, this.life);
+    ctx.fillStyle = this.color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 5;
+    ctx.fillRect(x - this.size / 2, y - this.size / 2, this.size, this.size);
+    ctx.restore();
+  }
+}
+
+// Floating "+points" text left behind by a kill
+class ScorePopup {
+  constructor(x, y, text, color) {
+    this.dead = false;
+    this.x = x;
+    this.y = y;
+    this.prevY = y;
+    this.text = text;
+    this.color = color;
+    this.life = 1;
+    this.decay = 1; // life lost per second
+    this.speed = 50; // pixels per second, drifting up
+  }
+
+  update(deltaTime) {
+    const dt = deltaTime / 1000;
+    this.prevY = this.y;
+    this.y -= this.speed * dt;
+    this.life -= this.decay * dt;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, this.life);
+    ctx.fillStyle = this.color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 6;
+    ctx.font = "bold 14px Orbitron";
+    ctx.textAlign = "center";
+    ctx.fillText(this.text, this.x, lerp(this.prevY, this.y, alpha));
+    ctx.restore();
+  }
+}
+
+// Power-up registry. Every power-up declares how its pickup looks, how long
+// it lasts and what it does through hooks, all of them optional:
+//   apply(player, core)   - when it starts (instant power-ups: when collected)
+//   remove(player, core)  - when its timer runs out
+//   update(player, core, deltaTime) - every step while active
+//   shoot(player, core)   - when the player fires; return true to replace
+//                           the normal bullets
+//   draw(ctx, player)     - effect drawn around the player, in its frame
+// stacking decides what collecting an active power-up again does:
+//   "refresh" restarts the timer, "extend" adds to it up to maxDuration,
+//   "instant" has no timer at all. weight sets how often it drops.
+const POWER_UPS = {};
+const POWER_UP_STACKING = ["refresh", "extend", "instant"];
+const POWER_UP_WARNING_TIME = 2000; // milliseconds left when the warning starts
+
+function registerPowerUp(type, definition) {
+  if (!POWER_UP_STACKING.includes(definition.stacking)) {
+    throw new Error(`Power-up "${type}": unknown stacking rule`);
+  }
+  if (definition.stacking !== "instant" && !(definition.duration > 0)) {
+    throw new Error(`Power-up "${type}": timed power-ups need a duration`);
+  }
+  if (!definition.color || !definition.symbol) {
+    throw new Error(`Power-up "${type}": needs a color and a symbol`);
+  }
+  POWER_UPS[type] = { weight: 1, ...definition };
+}
+
+registerPowerUp("rapidFire", {
+  color: "#ff0000",
+  symbol: "R",
+  duration: 8000,
+  stacking: "refresh",
+  weight: 3,
+  apply: (player) => {
+    player.hasRapidFire = true;
+  },
+  remove: (player) => {
+    player.hasRapidFire = false;
+  },
+  draw: (ctx, player) => {
+    ctx.fillStyle = "#ff0000";
+    ctx.shadowColor = "#ff0000";
+    ctx.shadowBlur = 8;
+    ctx.fillRect(
+      -player.size * 0.1,
+      -player.size * 1.2,
+      player.size * 0.2,
+      player.size * 0.3
+    );
+  },
+});
+
+registerPowerUp("shield", {
+  color: "#00ff00",
+  symbol: "S",
+  duration: 8000,
+  stacking: "refresh",
+  weight: 3,
+  apply: (player) => {
+    player.hasShield = true;
+  },
+  remove: (player) => {
+    player.hasShield = false;
+  },
+  draw: (ctx, player) => {
+    ctx.strokeStyle = "#00ff00";
+    ctx.shadowColor = "#00ff00";
+    ctx.shadowBlur = 15;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(0, 0, player.size * 1.5, 0, Math.PI * 2);
+    ctx.stroke();
+  },
+});
+
+registerPowerUp("multiShot", {
+  color: "#ff00ff",
+  symbol: "M",
+  duration: 8000,
+  stacking: "refresh",
+  weight: 3,
+  apply: (player) => {
+    player.hasMultiShot = true;
+  },
+  remove: (player) => {
+    player.hasMultiShot = false;
+  },
+});
+
+registerPowerUp("speedBoost", {
+  color: "#ffff00",
+  symbol: "B",
+  duration: 8000,
+  stacking: "refresh",
+  weight: 3,
+  apply: (player) => {
+    player.hasSpeedBoost = true;
+  },
+  remove: (player) => {
+    player.hasSpeedBoost = false;
+  },
+  draw: (ctx, player) => {
+    ctx.strokeStyle = "#ffff00";
+    ctx.shadowColor = "#ffff00";
+    ctx.shadowBlur = 3;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.6; // Make it semi-transparent
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      ctx.arc(0, 0, player.size * (1.2 + i * 0.2), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  },
+});
+
+// Launches a pair of seeking missiles alongside the normal shots
+registerPowerUp("homing", {
+  color: "#ff8800",
+  symbol: "H",
+  duration: 10000,
+  maxDuration: 20000,
+  stacking: "extend",
+  weight: 2,
+  apply: (player) => {
+    player.missileCooldown = 0;
+  },
+  update: (player, core, deltaTime) => {
+    player.missileCooldown -= deltaTime;
+  },
+  shoot: (player, core) => {
+    if (player.missileCooldown <= 0) {
+      core.spawnMissile(player.x - 12, player.y, -Math.PI * 0.75, player);
+      core.spawnMissile(player.x + 12, player.y, -Math.PI * 0.25, player);
+      player.missileCooldown = 600;
+    }
+    return false;
+  },
+  draw: (ctx, player) => {
+    // Missile pods under the wings
+    ctx.fillStyle = "#ff8800";
+    ctx.fillRect(-player.size * 0.75, player.size * 0.3, 4, 8);
+    ctx.fillRect(player.size * 0.75 - 4, player.size * 0.3, 4, 8);
+  },
+});
+
+// Replaces the guns with a beam that hits everything in its column
+registerPowerUp("laser", {
+  color: "#33ccff",
+  symbol: "L",
+  duration: 6000,
+  stacking: "refresh",
+  weight: 2,
+  shoot: (player, core) => {
+    core.fireLaser(player.x, player.y - player.size, player);
+    return true;
+  },
+  draw: (ctx, player) => {
+    ctx.fillStyle = "#33ccff";
+    ctx.shadowColor = "#33ccff";
+    ctx.shadowBlur = 10;
+    ctx.beginPath();
+    ctx.arc(0, -player.size, 4, 0, Math.PI * 2);
+    ctx.fill();
+  },
+});
+
+// Clears the screen the moment it is collected
+registerPowerUp("bomb", {
+  color: "#ff5544",
+  symbol: "X",
+  stacking: "instant",
+  weight: 1,
+  apply: (player, core) => {
+    core.detonateBomb(player);
+  },
+});
+
+// Pulls falling power-ups towards the player
+registerPowerUp("magnet", {
+  color: "#cc88ff",
+  symbol: "U",
+  duration: 10000,
+  stacking: "refresh",
+  weight: 2,
+  apply: (player) => {
+    player.hasMagnet = true;
+  },
+  remove: (player) => {
+    player.hasMagnet = false;
+  },
+  draw: (ctx, player) => {
+    ctx.strokeStyle = "#cc88ff";
+    ctx.globalAlpha = 0.5;
+    ctx.setLineDash([4, 6]);
+    ctx.beginPath();
+    ctx.arc(0, 0, player.size * 2.2, 0, Math.PI * 2);
+    ctx.stroke();
+  },
+});
+
+// Enemies, their shots and spawning run at half speed
+registerPowerUp("timeSlow", {
+  color: "#88ffff",
+  symbol: "T",
+  duration: 5000,
+  stacking: "refresh",
+  weight: 2,
+  apply: (player) => {
+    player.hasTimeSlow = true;
+  },
+  remove: (player) => {
+    player.hasTimeSlow = false;
+  },
+  draw: (ctx, player) => {
+    ctx.strokeStyle = "#88ffff";
+    ctx.shadowColor = "#88ffff";
+    ctx.shadowBlur = 6;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, player.size * 1.8, -Math.PI / 2, Math.PI);
+    ctx.stroke();
+  },
+});
+
+class PowerUp {
+  constructor(x, y, type) {
+    this.dead = false; // Removed at the end of the simulation step
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.type = type;
+    this.size = 12;
+    this.speed = 120; // pixels per second
+    this.magnetSpeed = 360; // pixels per second while pulled by the magnet
+    this.rotation = 0;
+    this.rotationSpeed = 3; // radians per second
+    this.pulseTimer = 0;
+    this.color = POWER_UPS[type].color;
+    this.symbol = POWER_UPS[type].symbol;
+  }
+
+  // With an attractor (the magnet) the pickup homes in instead of falling
+  update(deltaTime, attractor = null) {
+    const dt = deltaTime / 1000;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    if (attractor) {
+      const dx = attractor.x - this.x;
+      const dy = attractor.y - this.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const pull = Math.min(distance, this.magnetSpeed * dt);
+      this.x += (dx / distance) * pull;
+      this.y += (dy / distance) * pull;
+    } else {
+      this.y += this.speed * dt;
+    }
+    this.rotation += this.rotationSpeed * dt;
+    this.pulseTimer += deltaTime * 0.005;
+  }
+
+  draw(ctx, alpha = 1) {
+    ctx.save();
+    ctx.translate(
+      lerp(this.prevX, this.x, alpha),
+      lerp(this.prevY, this.y, alpha)
+    );
+    ctx.rotate(this.rotation);
+
+    // Pulsing glow effect
+    const pulse = Math.sin(this.pulseTimer) * 0.3 + 0.7;
+
+    // Outer glow
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur = 8 * pulse; // Reduced from 15 to 8
+    ctx.fillStyle = this.color;
+    ctx.globalAlpha = 0.4 * pulse; // Reduced from 0.6 to 0.4
+
+    // Power-up body (hexagon)
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const angle = (i * Math.PI) / 3;
+      const x = Math.cos(angle) * this.size;
+      const y = Math.sin(angle) * this.size;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Inner core
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur = 3; // Reduced from 5 to 3
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.arc(0, 0, this.size * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Symbol
+    ctx.fillStyle = this.color;
+    ctx.font = `bold ${this.size}px Orbitron`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.shadowBlur = 0;
+    ctx.fillText(this.symbol, 0, 0);
+
+    ctx.restore();
+  }
+}
+
+// Uniform grid broad phase. Entities are bucketed by their centre, and
+// queries widen by the largest bounding radius inserted so edge overlaps
+// aren't missed.
+// Entities outside the playfield are clamped into the border cells.
+class SpatialGrid {
+  constructor(width, height, cellSize) {
+    this.cellSize = cellSize;
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    this.columns = Math.max(1, Math.ceil(width / this.cellSize));
+    this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+    this.cells = [];
+    for (let i = 0; i < this.columns * this.rows; i++) {
+      this.cells.push([]);
+    }
+    this.maxSize = 0;
+  }
+
+  clear() {
+    // Bucket arrays are reused so a rebuild every step doesn't allocate
+    this.cells.forEach((cell) => {
+      cell.length = 0;
+    });
+    this.maxSize = 0;
+  }
+
+  column(x) {
+    return Math.max(
+      0,
+      Math.min(this.columns - 1, Math.floor(x / this.cellSize))
+    );
+  }
+
+  row(y) {
+    return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+  }
+
+  insert(entity) {
+    this.cells[this.row(entity.y) * this.columns + this.column(entity.x)].push(
+      entity
+    );
+    this.maxSize = Math.max(this.maxSize, getBoundingRadius(entity));
+  }
+
+  // Everything that could touch a circle at (x, y) - callers do the exact test
+  query(x, y, radius) {
+    const reach = radius + this.maxSize;
+    const results = [];
+    for (let row = this.row(y - reach); row <= this.row(y + reach); row++) {
+      for (
+        let column = this.column(x - reach);
+        column <= this.column(x + reach);
+        column++
+      ) {
+        results.push(...this.cells[row * this.columns + column]);
+      }
+    }
+    return results;
+  }
+}
+
+// Most live objects each pool allows before it starts recycling the oldest
+const POOL_CAPS = { bullets: 300, enemyBullets: 400, particles: 800 };
+
+// Reuses entity objects so rapid fire and explosions don't churn the garbage
+// collector. At the cap the oldest live object is taken over instead of
+// allocating, so heavy scenes degrade by shortening old effects.
+class ObjectPool {
+  constructor(factory, cap) {
+    this.factory = factory;
+    this.cap = cap;
+    this.free = [];
+    this.stats = { created: 0, reused: 0, recycled: 0 };
+  }
+
+  // Takes an object for the given live list and appends it there; the caller
+  // initialises it
+  acquire(live) {
+    let object;
+    if (live.length >= this.cap) {
+      object = live.shift();
+      this.stats.recycled++;
+    } else if (this.free.length > 0) {
+      object = this.free.pop();
+      this.stats.reused++;
+    } else {
+      object = this.factory();
+      this.stats.created++;
+    }
+    live.push(object);
+    return object;
+  }
+
+  release(object) {
+    this.free.push(object);
+  }
+
+  // Returns every object in the list to the pool and gives back an empty list
+  releaseAll(live = []) {
+    live.forEach((object) => this.release(object));
+    return [];
+  }
+}
+
+// Seedable pseudo-random generator (mulberry32) - same seed, same sequence
+class Random {
+  constructor(seed = Date.now()) {
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Returns a float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+// Saved runs. Bump SNAPSHOT_VERSION whenever the saved fields or entity
+// layouts change so older saves are rejected rather than misread.
+const SNAPSHOT_VERSION = 4;
+// GameCore fields saved as they are; entities and RNG streams are handled apart
+const SNAPSHOT_FIELDS = [
+  "width",
+  "height",
+  "seed",
+  "difficulty",
+  "preset",
+  "modifiers",
+  "bannedPowerUps",
+  "elapsedTime",
+  "score",
+  "combo",
+  "comboTimer",
+  "multiplier",
+  "sharedLives",
+  "lives",
+  "level",
+  "lasers",
+  "enemySpawnTimer",
+  "enemySpawnRate",
+  "powerUpSpawnTimer",
+  "powerUpSpawnRate",
+  "levelUpMessage",
+  "levelUpSubtitle",
+  "levelUpTimer",
+  "levelScript",
+  "levelTime",
+  "levelStats",
+  "scriptedSpawns",
+];
+// GameCore's seeded Random streams, saved as { seed, state }
+const RANDOM_STREAMS = ["rng", "spawnRng", "effectsRng"];
+// Mixed into the checksum so a hand-edited save doesn't verify by accident
+const SNAPSHOT_SALT = "cosmic-defender-snapshot";
+
+// Own fields of an entity as plain data. Hitboxes are shared tables and are
+// re-linked on load; references to players are stored as their index.
+function toSnapshotData(entity) {
+  const data = {};
+  Object.keys(entity).forEach((key) => {
+    if (key === "hitbox") return;
+    const value = entity[key];
+    data[key] = value instanceof Player ? value.index : value;
+  });
+  return data;
+}
+
+function fromSnapshotData(target, data, players = []) {
+  Object.assign(target, data);
+  if ("owner" in data) {
+    target.owner = data.owner === null ? null : players[data.owner] || null;
+  }
+  return target;
+}
+
+// 32-bit FNV-1a over the salted JSON. It catches edits and corruption; it is
+// not meant to stop someone determined to cheat on their own machine.
+function hashSnapshotState(state) {
+  const text = SNAPSHOT_SALT + JSON.stringify(state);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Throws with the reason a snapshot can't be loaded
+function verifySnapshot(snapshot) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Unsupported snapshot version ${snapshot && snapshot.version}`
+    );
+  }
+  const state = snapshot.state;
+  if (!state || typeof state !== "object") {
+    throw new Error("Snapshot has no state");
+  }
+  if (hashSnapshotState(state) !== snapshot.checksum) {
+    throw new Error("Snapshot checksum mismatch");
+  }
+
+  // The checksum can't vouch for saves from a build with other content
+  if (!DIFFICULTY_PRESETS[state.difficulty]) {
+    throw new Error(`Unknown difficulty "${state.difficulty}"`);
+  }
+  [
+    "width",
+    "height",
+    "score",
+    "lives",
+    "level",
+    "elapsedTime",
+    "enemySpawnTimer",
+    "powerUpSpawnTimer",
+  ].forEach((field) => {
+    if (!Number.isFinite(state[field])) {
+      throw new Error(`Snapshot field "${field}" is not a number`);
+    }
+  });
+  RANDOM_STREAMS.forEach((name) => {
+    if (!state[name] || !Number.isInteger(state[name].state)) {
+      throw new Error(`Snapshot has no "${name}" RNG state`);
+    }
+  });
+  (state.modifiers || []).forEach((name) => {
+    if (!DAILY_MODIFIERS[name]) {
+      throw new Error(`Unknown modifier "${name}"`);
+    }
+  });
+  [
+    "players",
+    "bullets",
+    "missiles",
+    "enemies",
+    "enemyBullets",
+    "powerUps",
+    "particles",
+    "scorePopups",
+    "lasers",
+  ].forEach((list) => {
+    if (!Array.isArray(state[list])) {
+      throw new Error(`Snapshot list "${list}" is missing`);
+    }
+  });
+  if (state.players.length < 1 || state.players.length > 2) {
+    throw new Error(`Unsupported player count ${state.players.length}`);
+  }
+  state.players.forEach((player) => {
+    if (!SHIPS[player.ship]) {
+      throw new Error(`Unknown ship "${player.ship}"`);
+    }
+    if (!SHIP_WEAPONS[player.weapon]) {
+      throw new Error(`Unknown weapon "${player.weapon}"`);
+    }
+    Object.keys(player.powerUpTimers || {}).forEach((type) => {
+      if (!POWER_UPS[type]) throw new Error(`Unknown power-up "${type}"`);
+    });
+  });
+  state.enemies.forEach((enemy) => {
+    if (!ENEMY_TYPES[enemy.type]) {
+      throw new Error(`Unknown enemy type "${enemy.type}"`);
+    }
+  });
+  state.powerUps.forEach((powerUp) => {
+    if (!POWER_UPS[powerUp.type]) {
+      throw new Error(`Unknown power-up "${powerUp.type}"`);
+    }
+  });
+}
+
+// Input frame flags packed into one number per simulation step
+const INPUT_BITS = { left: 1, right: 2, up: 4, down: 8, fire: 16 };
+
+// Second entry of an array frame: what its x and y belong to
+const FRAME_MODES = { relativeTouch: 0, directTouch: 1, stick: 2 };
+
+// Bump whenever the frame format or the simulation changes, so an old
+// recording is refused rather than replayed into a different run
+const RECORDING_VERSION = 2;
+
+class InputRecorder {
+  constructor(
+    seed,
+    width,
+    height,
+    difficulty = "normal",
+    players = 1,
+    sharedLives = true,
+    modifiers = [],
+    ships = []
+  ) {
+    this.seed = seed;
+    this.width = width;
+    this.height = height;
+    this.difficulty = difficulty;
+    this.players = players;
+    this.sharedLives = sharedLives;
+    this.modifiers = modifiers;
+    this.ships = ships;
+    this.frames = [];
+  }
+
+  // Co-op steps are recorded as a list holding one encoded frame per player
+  record(input) {
+    this.frames.push(
+      Array.isArray(input)
+        ? input.map((frame) => this.encode(frame))
+        : this.encode(input)
+    );
+  }
+
+  encode(input) {
+    let bits = 0;
+    Object.keys(INPUT_BITS).forEach((name) => {
+      if (input[name]) bits |= INPUT_BITS[name];
+    });
+
+    // Plain steps are a single number, touch and stick steps carry their
+    // coordinates as [bits, mode, x, y]. Touch wins if both are present.
+    if (input.touch) {
+      const { direct, x, y } = input.touch;
+      const mode = direct ? FRAME_MODES.directTouch : FRAME_MODES.relativeTouch;
+      return [bits, mode, x, y];
+    }
+    if (input.stick) {
+      return [bits, FRAME_MODES.stick, input.stick.x, input.stick.y];
+    }
+    return bits;
+  }
+
+  finish(finalScore, finalLevel) {
+    return {
+      version: RECORDING_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      players: this.players,
+      sharedLives: this.sharedLives,
+      modifiers: this.modifiers,
+      ships: this.ships,
+      width: this.width,
+      height: this.height,
+      finalScore: finalScore,
+      finalLevel: finalLevel,
+      frames: this.frames,
+    };
+  }
+}
+
+// Throws if the recording is from another version
+class InputPlayback {
+  constructor(recording) {
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      throw new Error(
+        `Unsupported recording version ${recording && recording.version}`
+      );
+    }
+    this.recording = recording;
+    this.index = 0;
+  }
+
+  // Returns the next recorded input frame (a list of them for co-op), or
+  // null when the recording ends
+  next() {
+    if (this.index >= this.recording.frames.length) return null;
+
+    const frame = this.recording.frames[this.index++];
+    return this.recording.players === 2
+      ? frame.map((playerFrame) => this.decode(playerFrame))
+      : this.decode(frame);
+  }
+
+  decode(frame) {
+    const bits = Array.isArray(frame) ? frame[0] : frame;
+    const input = { touch: null, stick: null };
+    Object.keys(INPUT_BITS).forEach((name) => {
+      input[name] = (bits & INPUT_BITS[name]) !== 0;
+    });
+
+    if (Array.isArray(frame)) {
+      const [, mode, x, y] = frame;
+      if (mode === FRAME_MODES.stick) {
+        input.stick = { x: x, y: y };
+      } else {
+        input.touch = {
+          direct: mode === FRAME_MODES.directTouch,
+          x: x,
+          y: y,
+        };
+      }
+    }
+
+    return input;
+  }
+}
+
+// Allow the simulation to run headless under Node (tests, bots)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GameCore,
+    Random,
+    SpatialGrid,
+    ObjectPool,
+    POOL_CAPS,
+    getWorldShapes,
+    getBoundingRadius,
+    InputRecorder,
+    InputPlayback,
+    RECORDING_VERSION,
+    Player,
+    Bullet,
+    EnemyBullet,
+    BULLET_PATTERNS,
+    Enemy,
+    ENEMY_TYPES,
+    HITBOXES,
+    DIFFICULTY_PRESETS,
+    COMBO_RULES,
+    COOP_RULES,
+    DAILY_MODIFIERS,
+    getDailyChallenge,
+    SNAPSHOT_VERSION,
+    verifySnapshot,
+    PLAYER_COLORS,
+    SHIPS,
+    SHIP_WEAPONS,
+    Boss,
+    BOSS_PHASES,
+    Particle,
+    ScorePopup,
+    PowerUp,
+    POWER_UPS,
+    POWER_UP_WARNING_TIME,
+    registerPowerUp,
+    Missile,
+    lerp,
+  };
+}
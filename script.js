@@ -2,87 +2,197 @@ class Game {
   constructor() {
     this.canvas = document.getElementById("gameCanvas");
     this.ctx = this.canvas.getContext("2d");
+
+    // Gameplay runs in fixed logical units, whatever the window size.
+    // Phones held upright get a taller playfield.
+    this.playfield =
+      window.innerWidth <= 768 ? PLAYFIELDS.portrait : PLAYFIELDS.landscape;
+    this.width = this.playfield.width;
+    this.height = this.playfield.height;
     this.setupCanvas();
 
     this.gameState = "start"; // start, playing, paused, gameOver
-    this.score = 0;
-    this.lives = 3;
-    this.level = 1;
+    this.playerCount = 1; // 2 for local co-op
+    this.daily = null; // getDailyChallenge() result while playing the daily
+    this.background = new Background(this.width, this.height);
+
+    // All gameplay lives in the DOM-free core - this class is the browser shell
+    // Phones get a smaller particle budget. Particles are cosmetic, so this
+    // doesn't affect replays recorded on other devices.
+    const poolCaps = window.innerWidth <= 768 ? { particles: 400 } : {};
+    this.core = new GameCore(this.width, this.height, poolCaps);
+    this.core.on("statsChanged", () => this.updateUI());
+    this.core.on("gameOver", (result) => this.gameOver(result));
+
+    // Sound effects follow core events so replays sound like the original run
+    this.audio = new AudioEngine();
+    this.core.on("shoot", () => this.audio.playShoot());
+    this.core.on("explosion", ({ size }) => this.audio.playExplosion(size));
+    this.core.on("powerUpCollected", () => this.audio.playPowerUp());
+    this.core.on("shieldHit", () => this.audio.playShieldHit());
+    this.core.on("lifeLost", () => this.audio.playLifeLost());
+    this.core.on("playerRevived", () => this.audio.playPowerUp());
+    this.core.on("bossSpawned", () => this.audio.playBossWarning());
+    this.core.on("bossDefeated", () => {
+      // Boss kills count towards unlocks as they happen; replays don't count
+      if (!this.replay) {
+        this.runUnlocks.push(...this.hangar.record({ bossesDefeated: 1 }));
+      }
+    });
+    this.core.on("bomb", () => {
+      this.audio.playExplosion(60);
+      this.bombFlash = 0.8;
+    });
+    this.core.on("levelUp", ({ level }) => {
+      this.audio.playLevelUp();
+      this.audio.setIntensity(level);
+      this.background.setLevel(level);
+    });
 
-    this.player = new Player(this.canvas.width / 2, this.canvas.height - 60);
-    this.bullets = [];
-    this.enemies = [];
-    this.particles = [];
-    this.stars = [];
-    this.powerUps = [];
+    this.bombFlash = 0; // White screen flash opacity after a bomb
 
     this.keys = {};
+    this.touchInput = {
+      active: false,
+      direct: false,
+      moved: false, // the finger moved since the last step
+      x: 0,
+      y: 0,
+      dx: 0,
+      dy: 0,
+    };
     this.lastTime = 0;
-    this.enemySpawnTimer = 0;
-    this.enemySpawnRate = 2000; // milliseconds
-    this.powerUpSpawnTimer = 0;
-    this.powerUpSpawnRate = 15000; // 15 seconds
 
-    // Level up system
-    this.levelUpMessage = null;
-    this.levelUpTimer = 0;
-    this.levelUpDuration = 3000; // 3 seconds
+    this.highScores = new HighScores();
+    this.dailyRecords = new DailyRecords();
+    this.hangar = new Hangar();
+    this.hangarPlayers = 1; // players the hangar is choosing ships for
+    this.hangarSlot = 0; // whose ship the hangar is showing
+    this.runUnlocks = []; // ships unlocked by boss kills during this run
+    this.settings = new Settings();
+    this.gamepads = new GamepadInput();
+    this.rebinding = null; // { action, slot } while waiting for a key press
+    this.settingsReturnTo = "startScreen";
+
+    // Runs are recorded so they can be replayed from the same seed
+    this.recorder = null;
+    this.replay = null;
+    this.lastRecording = this.loadLastRecording();
+
+    // Fixed timestep simulation - gameplay runs at the same rate on any display
+    this.fixedTimeStep = 1000 / 60; // milliseconds per simulation step
+    this.accumulator = 0;
+    this.maxFrameTime = 250; // Avoids a catch-up spiral after long frames
+
+    // Resuming counts down before play restarts
+    this.countdownDuration = 3000;
+    this.countdownTimer = 0;
 
     this.setupEventListeners();
-    this.createStarField();
+    this.renderDailyInfo();
+    this.updateContinueButton();
+    this.loadLevels();
     this.gameLoop();
   }
 
+  // Scales the logical playfield to fit the window without changing its
+  // aspect ratio - the page background fills the spare space. The backing
+  // store is sized in device pixels so HiDPI screens stay sharp.
   setupCanvas() {
     const isMobile = window.innerWidth <= 768;
+    const availableWidth = window.innerWidth - (isMobile ? 10 : 40);
+    // Phones leave room for the UI and browser chrome
+    const availableHeight = window.innerHeight - (isMobile ? 120 : 40);
+    const scale = Math.max(
+      0.1,
+      Math.min(availableWidth / this.width, availableHeight / this.height)
+    );
+    const displayWidth = Math.floor(this.width * scale);
+    const displayHeight = Math.floor(this.height * scale);
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    this.canvas.style.width = `${displayWidth}px`;
+    this.canvas.style.height = `${displayHeight}px`;
+    this.canvas.width = Math.round(displayWidth * pixelRatio);
+    this.canvas.height = Math.round(displayHeight * pixelRatio);
+  }
 
-    if (isMobile) {
-      // Mobile: Use much more of the screen space
-      const availableWidth = window.innerWidth - 10; // Minimal margin
-      const availableHeight = window.innerHeight - 120; // Account for UI and browser chrome
+  // Switches the logical playfield, e.g. to the size a replay was recorded at
+  setPlayfield(width, height) {
+    this.width = width;
+    this.height = height;
+    this.core.resize(width, height);
+    this.setupCanvas();
+    this.background.resize(width, height);
+  }
 
-      // Use most of the available space while maintaining playability
-      this.canvas.width = Math.max(320, Math.min(availableWidth, 500));
-      this.canvas.height = Math.max(
-        500,
-        Math.min(availableHeight, availableWidth * 1.4)
-      );
+  // Back to this device's own playfield after a replay or continued run
+  // used a different one
+  usePlayfield() {
+    const { width, height } = this.playfield;
+    if (width !== this.width || height !== this.height) {
+      this.setPlayfield(width, height);
+    }
+  }
 
-      // Ensure we don't exceed screen bounds
-      if (this.canvas.height > availableHeight) {
-        this.canvas.height = availableHeight;
-        this.canvas.width = Math.min(
-          this.canvas.width,
-          this.canvas.height * 0.8
-        );
-      }
-    } else {
-      // Desktop: Keep original sizing
-      const maxWidth = Math.min(800, window.innerWidth - 40);
-      const maxHeight = Math.min(600, window.innerHeight - 40);
+  // Converts a point in client (CSS) pixels to playfield units - the
+  // inverse of the scaling render() draws with
+  toPlayfield(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = clientX - rect.left - this.canvas.clientLeft;
+    const y = clientY - rect.top - this.canvas.clientTop;
+    return {
+      x: (x * this.width) / this.canvas.clientWidth,
+      y: (y * this.height) / this.canvas.clientHeight,
+    };
+  }
 
-      this.canvas.width = Math.max(320, maxWidth);
-      this.canvas.height = Math.max(400, maxHeight);
-    }
+  loadLevels() {
+    // Without the level scripts (e.g. fetch blocked on file:// pages) the
+    // game simply runs in endless procedural mode
+    fetch("levels.json")
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => this.core.loadLevels(data))
+      .catch((error) => {
+        console.warn("Level scripts unavailable, using endless mode:", error);
+      });
   }
 
   setupEventListeners() {
     // Keyboard events
     document.addEventListener("keydown", (e) => {
+      // Let text fields (high score initials) receive their keys
+      if (e.target.type === "text") return;
+
+      if (this.rebinding) {
+        e.preventDefault();
+        this.finishRebinding(e.code);
+        return;
+      }
+
       this.keys[e.code] = true;
-      if (e.code === "Space") {
+      const action = this.settings.getAction(e.code);
+      const isGameKey = action || this.isCoopKey(e.code);
+      if (e.code === "Space" || (isGameKey && this.gameState === "playing")) {
         e.preventDefault();
       }
-      if (e.code === "Escape") {
+      if (e.code === "KeyM" && !e.repeat && !action) {
+        this.toggleMute();
+      }
+
+      // Escape always backs out of an open overlay first
+      if (e.code === "Escape" && this.closeTopOverlay()) {
         e.preventDefault();
-        // Check if developer modal is open first
-        if (
-          !document
-            .getElementById("developerModal")
-            .classList.contains("hidden")
-        ) {
-          this.hideDeveloperModal();
-        } else if (this.gameState === "playing") {
+        return;
+      }
+
+      if (action === "pause" && !e.repeat) {
+        if (this.gameState === "playing" || this.gameState === "countdown") {
           this.pauseGame();
         } else if (this.gameState === "paused") {
           this.resumeGame();
@@ -95,14 +205,67 @@ class Game {
     });
 
     // UI events
+    // Both kinds of run pick their ships in the hangar first
     document.getElementById("startBtn").addEventListener("click", () => {
-      this.startGame();
+      this.showHangar(1);
+    });
+
+    document.getElementById("coopBtn").addEventListener("click", () => {
+      this.showHangar(2);
+    });
+
+    document.getElementById("launchBtn").addEventListener("click", () => {
+      document.getElementById("hangarScreen").classList.add("hidden");
+      this.startGame(this.hangarPlayers);
+    });
+
+    document.getElementById("closeHangarBtn").addEventListener("click", () => {
+      this.hideHangar();
+    });
+
+    [0, 1].forEach((slot) => {
+      document
+        .getElementById(`hangarSlot${slot + 1}Btn`)
+        .addEventListener("click", () => {
+          this.hangarSlot = slot;
+          this.renderHangar();
+        });
+    });
+
+    document.getElementById("dailyBtn").addEventListener("click", () => {
+      this.startDaily();
     });
 
     document.getElementById("restartBtn").addEventListener("click", () => {
       this.restartGame();
     });
 
+    document.getElementById("replayBtn").addEventListener("click", () => {
+      if (this.lastRecording) {
+        this.playReplay(this.lastRecording);
+      }
+    });
+
+    document.getElementById("saveScoreBtn").addEventListener("click", () => {
+      this.submitHighScore();
+    });
+
+    document.getElementById("nameInput").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this.submitHighScore();
+      }
+    });
+
+    document.getElementById("leaderboardBtn").addEventListener("click", () => {
+      this.showLeaderboard();
+    });
+
+    document
+      .getElementById("closeLeaderboardBtn")
+      .addEventListener("click", () => {
+        this.hideLeaderboard();
+      });
+
     document.getElementById("resumeBtn").addEventListener("click", () => {
       this.resumeGame();
     });
@@ -117,109 +280,165 @@ class Game {
       this.goToMainMenu();
     });
 
+    document.getElementById("saveQuitBtn").addEventListener("click", () => {
+      this.saveRun();
+      this.goToMainMenu();
+    });
+
+    document.getElementById("continueBtn").addEventListener("click", () => {
+      this.continueRun();
+    });
+
+    // Closing or reloading the tab mid-run saves it for Continue
+    window.addEventListener("pagehide", () => {
+      this.saveRun();
+    });
+
+    // Switching tabs or windows pauses the run
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.autoPause();
+    });
+    window.addEventListener("blur", () => {
+      this.autoPause();
+    });
+
+    this.setupSettingsScreen();
+
+    const muteBtn = document.getElementById("muteBtn");
+    muteBtn.addEventListener("click", () => {
+      this.toggleMute();
+      muteBtn.blur(); // Keep Space for shooting rather than re-clicking
+    });
+
+    ["master", "sfx", "music"].forEach((channel) => {
+      const slider = document.getElementById(`${channel}Volume`);
+      slider.value = Math.round(this.audio.volumes[channel] * 100);
+      slider.addEventListener("input", () => {
+        this.audio.setVolume(channel, slider.value / 100);
+      });
+    });
+    this.updateMuteButton();
+
     // Developer button events - using a more direct approach
     this.setupDeveloperModal();
 
     // Touch controls for mobile
     this.setupTouchControls();
 
-    // Resize handler
+    // Resizing only rescales the canvas - the playfield itself never
+    // changes, so runs and replays carry on undisturbed. Moving the window
+    // to a screen with a different pixel ratio also fires this.
     window.addEventListener("resize", () => {
       this.setupCanvas();
     });
   }
 
+  setupSettingsScreen() {
+    ["settingsBtn", "pauseSettingsBtn"].forEach((id) => {
+      document.getElementById(id).addEventListener("click", () => {
+        this.showSettings();
+      });
+    });
+
+    document
+      .getElementById("closeSettingsBtn")
+      .addEventListener("click", () => {
+        this.hideSettings();
+      });
+
+    document
+      .getElementById("resetSettingsBtn")
+      .addEventListener("click", () => {
+        this.settings.restoreDefaults();
+        this.settings.save();
+        this.renderSettings();
+      });
+
+    const difficultySelect = document.getElementById("difficultySelect");
+    difficultySelect.addEventListener("change", () => {
+      this.settings.update({ difficulty: difficultySelect.value });
+    });
+
+    const coopLivesSelect = document.getElementById("coopLivesSelect");
+    coopLivesSelect.addEventListener("change", () => {
+      this.settings.update({ coopLives: coopLivesSelect.value });
+    });
+
+    const touchSchemeSelect = document.getElementById("touchSchemeSelect");
+    touchSchemeSelect.addEventListener("change", () => {
+      this.settings.update({ touchScheme: touchSchemeSelect.value });
+    });
+
+    const sensitivity = document.getElementById("touchSensitivity");
+    sensitivity.addEventListener("input", () => {
+      this.settings.update({ touchSensitivity: sensitivity.value / 100 });
+    });
+
+    [
+      ["particlesToggle", "particles"],
+      ["starsToggle", "stars"],
+    ].forEach(([id, effect]) => {
+      const checkbox = document.getElementById(id);
+      checkbox.addEventListener("change", () => {
+        this.settings.effects[effect] = checkbox.checked;
+        this.settings.save();
+      });
+    });
+
+    const hitboxesToggle = document.getElementById("hitboxesToggle");
+    hitboxesToggle.addEventListener("change", () => {
+      this.settings.update({ showHitboxes: hitboxesToggle.checked });
+    });
+  }
+
   setupTouchControls() {
-    let touchStartX = 0;
-    let touchStartY = 0;
-    let isTouching = false;
-    let useDirectControl = false; // Flag for direct vs relative control
+    // Touch events only record intent - the simulation applies it each step
+    const touch = this.touchInput;
 
     this.canvas.addEventListener("touchstart", (e) => {
       e.preventDefault();
-      const touch = e.touches[0];
-      const rect = this.canvas.getBoundingClientRect();
-      const touchX = touch.clientX - rect.left;
-      const touchY = touch.clientY - rect.top;
-
-      touchStartX = touchX;
-      touchStartY = touchY;
-      isTouching = true;
+      const point = this.toPlayfield(
+        e.touches[0].clientX,
+        e.touches[0].clientY
+      );
 
-      // Check if touch is near the player (within 100px) for relative control
+      // In auto mode a touch near the player (within 100 units) drags it
+      const player = this.core.player;
       const distanceToPlayer = Math.sqrt(
-        Math.pow(touchX - this.player.x, 2) +
-          Math.pow(touchY - this.player.y, 2)
+        Math.pow(point.x - player.x, 2) + Math.pow(point.y - player.y, 2)
       );
 
-      useDirectControl = distanceToPlayer > 100;
-
-      // Auto-fire when touching
-      if (this.gameState === "playing") {
-        this.keys["Space"] = true;
-      }
+      const scheme = this.settings.touchScheme;
+      touch.active = this.gameState === "playing";
+      touch.direct =
+        scheme === "auto" ? distanceToPlayer > 100 : scheme === "direct";
+      touch.moved = false;
+      touch.x = point.x;
+      touch.y = point.y;
+      touch.dx = 0;
+      touch.dy = 0;
     });
 
     this.canvas.addEventListener("touchmove", (e) => {
       e.preventDefault();
-      if (!isTouching || this.gameState !== "playing") return;
-
-      const touch = e.touches[0];
-      const rect = this.canvas.getBoundingClientRect();
-      const currentX = touch.clientX - rect.left;
-      const currentY = touch.clientY - rect.top;
-
-      if (useDirectControl) {
-        // Direct control: Move player towards touch position with smooth interpolation
-        const targetX = Math.max(
-          this.player.size,
-          Math.min(this.canvas.width - this.player.size, currentX)
-        );
-        const targetY = Math.max(
-          this.player.size,
-          Math.min(this.canvas.height - this.player.size, currentY)
-        );
+      if (!touch.active || this.gameState !== "playing") return;
 
-        // Smooth movement towards touch position
-        const lerpFactor = 0.2; // Adjust for smoothness (0.1 = smooth, 0.5 = snappy)
-        this.player.x += (targetX - this.player.x) * lerpFactor;
-        this.player.y += (targetY - this.player.y) * lerpFactor;
-      } else {
-        // Relative control: Move based on touch movement with very high sensitivity
-        const deltaX = currentX - touchStartX;
-        const deltaY = currentY - touchStartY;
-
-        // Very high sensitivity for responsive control
-        const sensitivity = 1.5;
-
-        if (Math.abs(deltaX) > 1) {
-          this.player.x = Math.max(
-            this.player.size,
-            Math.min(
-              this.canvas.width - this.player.size,
-              this.player.x + deltaX * sensitivity
-            )
-          );
-          touchStartX = currentX;
-        }
+      const point = this.toPlayfield(
+        e.touches[0].clientX,
+        e.touches[0].clientY
+      );
 
-        if (Math.abs(deltaY) > 1) {
-          this.player.y = Math.max(
-            this.player.size,
-            Math.min(
-              this.canvas.height - this.player.size,
-              this.player.y + deltaY * sensitivity
-            )
-          );
-          touchStartY = currentY;
-        }
-      }
+      // Accumulate drag distance until the next simulation step consumes it
+      touch.dx += point.x - touch.x;
+      touch.dy += point.y - touch.y;
+      touch.moved = true;
+      touch.x = point.x;
+      touch.y = point.y;
     });
 
     this.canvas.addEventListener("touchend", (e) => {
       e.preventDefault();
-      isTouching = false;
-      this.keys["Space"] = false;
+      touch.active = false;
     });
 
     // Prevent scrolling on mobile
@@ -234,52 +453,251 @@ class Game {
     );
   }
 
-  createStarField() {
-    for (let i = 0; i < 100; i++) {
-      this.stars.push({
-        x: Math.random() * this.canvas.width,
-        y: Math.random() * this.canvas.height,
-        size: Math.random() * 2,
-        speed: Math.random() * 0.5 + 0.1,
-        opacity: Math.random() * 0.8 + 0.2,
-      });
-    }
+  startGame(players = 1) {
+    this.gameState = "playing";
+    this.daily = null;
+    document.getElementById("startScreen").classList.add("hidden");
+    this.clearSavedRun(); // a new run replaces the saved one
+    this.usePlayfield();
+    this.resetGame(Date.now(), this.settings.difficulty, players);
   }
 
-  startGame() {
+  // Today's shared run: fixed seed, normal difficulty, solo in the starter
+  // ship on the landscape playfield, plus the day's modifiers
+  startDaily() {
     this.gameState = "playing";
+    this.daily = getDailyChallenge();
     document.getElementById("startScreen").classList.add("hidden");
-    this.resetGame();
+    this.newRun();
+  }
+
+  // Restarts the current mode - the daily restarts the same day's run even
+  // if the date has changed since. A new run replaces any saved one.
+  newRun() {
+    this.clearSavedRun();
+    if (!this.daily) {
+      this.usePlayfield();
+      this.resetGame();
+      return;
+    }
+    // Same ship and playfield for everyone, so spawn positions match
+    const { width, height } = PLAYFIELDS.landscape;
+    if (width !== this.width || height !== this.height) {
+      this.setPlayfield(width, height);
+    }
+    const { seed, modifiers } = this.daily;
+    this.resetGame(seed, "normal", 1, true, modifiers, ["rocket"]);
+    this.core.showMessage(
+      "DAILY CHALLENGE",
+      modifiers.map((name) => DAILY_MODIFIERS[name].label).join(" + ")
+    );
   }
 
   restartGame() {
     this.gameState = "playing";
     document.getElementById("gameOver").classList.add("hidden");
-    this.resetGame();
+    this.newRun();
+  }
+
+  playReplay(recording) {
+    // Only recordings from this version replay exactly
+    let playback;
+    try {
+      playback = new InputPlayback(recording);
+    } catch (error) {
+      console.warn("Can't play this replay:", error);
+      return;
+    }
+
+    // Re-create the recorded playfield so spawn positions match
+    this.setPlayfield(recording.width, recording.height);
+
+    this.gameState = "playing";
+    document.getElementById("startScreen").classList.add("hidden");
+    document.getElementById("gameOver").classList.add("hidden");
+    document.getElementById("pauseMenu").classList.add("hidden");
+    this.daily = null;
+    this.resetGame(
+      recording.seed,
+      recording.difficulty || "normal",
+      recording.players || 1,
+      recording.sharedLives !== false,
+      recording.modifiers || [],
+      recording.ships || []
+    );
+    this.recorder = null;
+    this.replay = playback;
+  }
+
+  stopReplay() {
+    this.replay = null;
+    // Back to this device's playfield if the recording used another size
+    this.usePlayfield();
+  }
+
+  loadLastRecording() {
+    try {
+      const saved = localStorage.getItem("cosmicDefenderLastReplay");
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn("Could not load the last replay:", error);
+      return null;
+    }
+  }
+
+  saveLastRecording(recording) {
+    this.lastRecording = recording;
+    try {
+      localStorage.setItem(
+        "cosmicDefenderLastReplay",
+        JSON.stringify(recording)
+      );
+    } catch (error) {
+      console.warn("Could not save the replay:", error);
+    }
   }
 
   pauseGame() {
-    if (this.gameState === "playing") {
+    if (this.gameState === "playing" || this.gameState === "countdown") {
       this.gameState = "paused";
+      this.audio.stopMusic();
       document.getElementById("pauseMenu").classList.remove("hidden");
     }
   }
 
+  // Play restarts after a 3-2-1 countdown so nobody is caught off guard
   resumeGame() {
-    this.gameState = "playing";
+    this.gameState = "countdown";
+    this.countdownTimer = this.countdownDuration;
+    this.audio.unlock();
     document.getElementById("pauseMenu").classList.add("hidden");
   }
 
+  // Focus was lost: pause, and forget held keys and touches - their
+  // keyup/touchend events went to another window
+  autoPause() {
+    this.pauseGame();
+    this.keys = {};
+    this.touchInput.active = false;
+    this.accumulator = 0;
+  }
+
   restartFromPause() {
     this.gameState = "playing";
     document.getElementById("pauseMenu").classList.add("hidden");
-    this.resetGame();
+    this.newRun();
   }
 
   goToMainMenu() {
     this.gameState = "start";
+    this.recorder = null;
+    this.audio.stopMusic();
+    if (this.replay) {
+      this.stopReplay();
+    }
     document.getElementById("pauseMenu").classList.add("hidden");
     document.getElementById("startScreen").classList.remove("hidden");
+    this.renderDailyInfo();
+    this.updateContinueButton();
+  }
+
+  // Stores the run in progress so Continue can pick it up later. Replays
+  // and finished runs aren't saved.
+  saveRun() {
+    if (
+      this.replay ||
+      (this.gameState !== "playing" &&
+        this.gameState !== "paused" &&
+        this.gameState !== "countdown")
+    ) {
+      return;
+    }
+    const snapshot = this.core.createSnapshot({
+      playerCount: this.playerCount,
+      daily: this.daily,
+      recorder: this.recorder ? { ...this.recorder } : null,
+    });
+    try {
+      localStorage.setItem("cosmicDefenderSavedRun", JSON.stringify(snapshot));
+    } catch (error) {
+      console.warn("Could not save the run:", error);
+    }
+  }
+
+  // The saved run if there is one that this version can load, else null.
+  // Rejected saves are deleted.
+  loadSavedRun() {
+    let raw = null;
+    try {
+      raw = localStorage.getItem("cosmicDefenderSavedRun");
+      if (!raw) return null;
+      const snapshot = JSON.parse(raw);
+      verifySnapshot(snapshot);
+      return snapshot;
+    } catch (error) {
+      console.warn("Saved run rejected:", error);
+      this.clearSavedRun();
+      return null;
+    }
+  }
+
+  clearSavedRun() {
+    try {
+      localStorage.removeItem("cosmicDefenderSavedRun");
+    } catch (error) {
+      // Storage is unavailable - nothing to clear
+    }
+  }
+
+  updateContinueButton() {
+    document
+      .getElementById("continueBtn")
+      .classList.toggle("hidden", !this.loadSavedRun());
+  }
+
+  // Resumes the saved run exactly where it left off. The save is used up.
+  continueRun() {
+    const snapshot = this.loadSavedRun();
+    if (!snapshot) {
+      this.updateContinueButton();
+      return;
+    }
+
+    // Positions only line up on the playfield size the run was saved with
+    this.setPlayfield(snapshot.state.width, snapshot.state.height);
+    const meta = this.core.loadSnapshot(snapshot);
+    this.clearSavedRun();
+
+    this.playerCount = meta.playerCount;
+    this.daily = meta.daily;
+    this.recorder = meta.recorder
+      ? Object.assign(Object.create(InputRecorder.prototype), meta.recorder)
+      : null;
+    this.replay = null;
+    this.touchInput.active = false;
+
+    this.gameState = "countdown";
+    this.countdownTimer = this.countdownDuration;
+    document.getElementById("startScreen").classList.add("hidden");
+    this.audio.unlock();
+    this.audio.setIntensity(this.core.level);
+    this.background.setLevel(this.core.level);
+    this.audio.stopMusic();
+  }
+
+  // Today's modifiers, best score and streak under the Daily Challenge button
+  renderDailyInfo() {
+    const { day, modifiers } = getDailyChallenge();
+    const best = this.dailyRecords.getBest(day);
+    const streak = this.dailyRecords.getStreak(day);
+    const parts = [
+      `Today: ${modifiers
+        .map((name) => DAILY_MODIFIERS[name].label)
+        .join(" + ")}`,
+    ];
+    if (best !== null) parts.push(`Best ${best}`);
+    if (streak > 0) parts.push(`Streak ${streak}`);
+    document.getElementById("dailyInfo").textContent = parts.join(" · ");
   }
 
   setupDeveloperModal() {
@@ -337,367 +755,926 @@ class Game {
     }
   }
 
-  resetGame() {
-    this.score = 0;
-    this.lives = 3;
-    this.level = 1;
-    this.bullets = [];
-    this.enemies = [];
-    this.particles = [];
-    this.powerUps = [];
-    this.player = new Player(this.canvas.width / 2, this.canvas.height - 60);
-    this.enemySpawnTimer = 0;
-    this.powerUpSpawnTimer = 0;
-    this.levelUpMessage = null;
-    this.levelUpTimer = 0;
-    this.updateUI();
+  // Restarts keep the current player count unless told otherwise
+  resetGame(
+    seed = Date.now(),
+    difficulty = this.settings.difficulty,
+    players = this.playerCount,
+    sharedLives = this.settings.coopLives === "shared",
+    modifiers = [],
+    ships = this.hangar.getShips(players)
+  ) {
+    this.playerCount = players;
+    this.core.reset(seed, difficulty, players, sharedLives, ships);
+    this.core.applyModifiers(modifiers);
+    this.recorder = new InputRecorder(
+      seed,
+      this.width,
+      this.height,
+      difficulty,
+      players,
+      sharedLives,
+      modifiers,
+      ships
+    );
+    this.replay = null;
+    this.touchInput.active = false;
+    this.runUnlocks = [];
+
+    // Every reset comes from a click or key press, which lets audio start
+    this.audio.unlock();
+    this.audio.setIntensity(1);
+    this.background.setLevel(1);
+    this.audio.stopMusic();
+    this.audio.startMusic();
   }
 
-  levelUp() {
-    this.level++;
-
-    // Progressive difficulty increases
-    this.increaseDifficulty();
-
-    // Show level up message
-    this.levelUpMessage = `LEVEL ${this.level}!`;
-    this.levelUpTimer = this.levelUpDuration;
-
-    // Give special level up rewards
-    this.giveLevelUpRewards();
-
-    // Create celebration particles
-    this.createLevelUpEffects();
-
-    this.updateUI();
+  toggleMute() {
+    this.audio.toggleMute();
+    this.updateMuteButton();
   }
 
-  increaseDifficulty() {
-    // Faster enemy spawning
-    this.enemySpawnRate = Math.max(400, this.enemySpawnRate - 150);
-
-    // Every few levels, make additional changes
-    if (this.level % 2 === 0) {
-      // Slightly reduce power-up spawn rate to increase challenge
-      this.powerUpSpawnRate = Math.min(25000, this.powerUpSpawnRate + 1000);
-    }
-
-    // Special difficulty spikes at milestone levels
-    if (this.level % 10 === 0) {
-      this.enemySpawnRate = Math.max(300, this.enemySpawnRate - 100);
-      this.levelUpMessage = `LEVEL ${this.level}! INTENSE MODE!`;
-    }
+  updateMuteButton() {
+    const muteBtn = document.getElementById("muteBtn");
+    muteBtn.textContent = this.audio.muted ? "🔇" : "🔊";
+    muteBtn.title = this.audio.muted ? "Unmute (M)" : "Mute (M)";
   }
 
-  giveLevelUpRewards() {
-    // Give player a random power-up
-    const powerUpTypes = ["rapidFire", "shield", "multiShot", "speedBoost"];
-    const randomPowerUp =
-      powerUpTypes[Math.floor(Math.random() * powerUpTypes.length)];
-    this.player.applyPowerUp(randomPowerUp);
-
-    // Bonus points for leveling up
-    this.score += 200;
-
-    // Special rewards for milestone levels
-    if (this.level % 5 === 0) {
-      // Every 5 levels: Extra life
-      this.lives++;
-      this.levelUpMessage = `LEVEL ${this.level}! BONUS LIFE!`;
-    } else if (this.level % 3 === 0) {
-      // Every 3 levels: Multiple power-ups
-      const secondPowerUp =
-        powerUpTypes[Math.floor(Math.random() * powerUpTypes.length)];
-      this.player.applyPowerUp(secondPowerUp);
-      this.levelUpMessage = `LEVEL ${this.level}! DOUBLE POWER!`;
-    }
+  updateUI() {
+    document.getElementById("scoreValue").textContent = this.core.score;
+    document.getElementById(
+      "comboValue"
+    ).textContent = `x${this.core.multiplier}`;
+    document
+      .getElementById("combo")
+      .classList.toggle("active", this.core.combo > 0);
+    // Separate co-op lives read "P1 / P2"
+    document.getElementById("livesValue").textContent = this.core.sharedLives
+      ? this.core.lives
+      : this.core.players.map((player) => player.lives).join(" / ");
+    document.getElementById("levelValue").textContent = this.core.level;
   }
 
-  createLevelUpEffects() {
-    // Create celebration particles around the player
-    for (let i = 0; i < 30; i++) {
-      const angle = (i / 30) * Math.PI * 2;
-      const distance = 50 + Math.random() * 50;
-      const x = this.player.x + Math.cos(angle) * distance;
-      const y = this.player.y + Math.sin(angle) * distance;
-
-      // Create golden celebration particles
-      this.particles.push(new Particle(x, y, "#ffaa00"));
+  updateLevelProgress() {
+    // Time-based thresholds move every frame, so only touch the DOM on change
+    const percent = Math.floor(this.core.getLevelProgress() * 100);
+    if (percent !== this.levelProgressPercent) {
+      this.levelProgressPercent = percent;
+      document.getElementById("levelProgressFill").style.width = `${percent}%`;
     }
   }
 
-  updateUI() {
-    document.getElementById("scoreValue").textContent = this.score;
-    document.getElementById("livesValue").textContent = this.lives;
-    document.getElementById("levelValue").textContent = this.level;
+  updateComboMeter() {
+    // Drains as the combo window runs out; same change-only DOM updates
+    const percent = Math.ceil(
+      (this.core.comboTimer / COMBO_RULES.window) * 100
+    );
+    if (percent !== this.comboMeterPercent) {
+      this.comboMeterPercent = percent;
+      document.getElementById("comboMeterFill").style.width = `${percent}%`;
+    }
   }
 
   gameLoop(currentTime = 0) {
-    const deltaTime = currentTime - this.lastTime;
+    // Clamped both ways: a backgrounded tab can hand back a huge gap, and
+    // the first frame's timestamp can be behind the previous one
+    const frameTime = Math.max(
+      0,
+      Math.min(currentTime - this.lastTime, this.maxFrameTime)
+    );
     this.lastTime = currentTime;
+    this.accumulator += frameTime;
 
-    this.update(deltaTime);
-    this.render();
+    this.handleGamepad();
+
+    // Advance the simulation in fixed steps, however long the frame was
+    while (this.accumulator >= this.fixedTimeStep) {
+      this.update(this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+    }
+
+    // Render between the last two simulation states
+    this.render(this.accumulator / this.fixedTimeStep);
+    this.updateLevelProgress();
+    this.updateComboMeter();
 
     requestAnimationFrame((time) => this.gameLoop(time));
   }
 
   update(deltaTime) {
-    // Always update stars for background animation
-    this.stars.forEach((star) => {
-      star.y += star.speed;
-      if (star.y > this.canvas.height) {
-        star.y = 0;
-        star.x = Math.random() * this.canvas.width;
+    // The background keeps moving behind menus and the pause screen
+    this.background.update(deltaTime);
+
+    if (this.gameState === "countdown") {
+      this.countdownTimer -= deltaTime;
+      if (this.countdownTimer <= 0) {
+        this.countdownTimer = 0;
+        this.gameState = "playing";
+        this.audio.startMusic();
       }
-    });
+      return;
+    }
 
     if (this.gameState !== "playing") return;
 
-    // Handle input
-    this.handleInput();
+    // The bomb flash fades at 3 opacity per second, whatever the frame rate
+    if (this.bombFlash > 0) {
+      this.bombFlash = Math.max(0, this.bombFlash - (deltaTime / 1000) * 3);
+    }
+
+    // Read this step's input - from the replay when one is playing
+    const input = this.replay ? this.replay.next() : this.readInput();
+    if (!input) {
+      // Recording ended before the run did
+      console.warn("Replay ran out of input before the game ended");
+      this.goToMainMenu();
+      return;
+    }
+    if (this.recorder) {
+      this.recorder.record(input);
+    }
 
-    // Update player
-    this.player.update(deltaTime);
+    // Advance the simulation one fixed step
+    this.core.step(deltaTime, input);
+  }
 
-    // Update bullets
-    this.bullets.forEach((bullet, index) => {
-      bullet.update(deltaTime);
-      if (bullet.y < 0) {
-        this.bullets.splice(index, 1);
-      }
-    });
+  // One input frame for this step, or one per player in co-op
+  readInput() {
+    if (this.playerCount === 2) {
+      return [this.readPlayerInput(0), this.readPlayerInput(1)];
+    }
+    return this.readPlayerInput(null);
+  }
 
-    // Spawn enemies
-    this.enemySpawnTimer += deltaTime;
-    if (this.enemySpawnTimer > this.enemySpawnRate) {
-      this.spawnEnemy();
-      this.enemySpawnTimer = 0;
+  // Snapshot keyboard, gamepad and touch state into an input frame. slot is
+  // the co-op player (0 or 1) or null for a solo run, where every key
+  // binding and every pad controls the one ship.
+  readPlayerInput(slot) {
+    const touch = this.touchInput;
+    // Touch steers player one only
+    const touching = touch.active && slot !== 1;
+    const input = {
+      left: this.isActionHeld("left", slot),
+      right: this.isActionHeld("right", slot),
+      up: this.isActionHeld("up", slot),
+      down: this.isActionHeld("down", slot),
+      fire: this.isActionHeld("fire", slot) || touching, // Auto-fire when touching
+      touch: null,
+      stick: null,
+    };
+
+    // Controllers add the D-pad, face buttons and the analog stick
+    const pad = this.gamepads;
+    input.left = input.left || pad.isHeld(GAMEPAD_BUTTONS.left, slot);
+    input.right = input.right || pad.isHeld(GAMEPAD_BUTTONS.right, slot);
+    input.up = input.up || pad.isHeld(GAMEPAD_BUTTONS.up, slot);
+    input.down = input.down || pad.isHeld(GAMEPAD_BUTTONS.down, slot);
+    input.fire = input.fire || pad.isFiring(slot);
+    const stick = pad.getStick(slot);
+    if (stick.x !== 0 || stick.y !== 0) {
+      // Rounded so recordings stay small and replay exactly what the core saw
+      input.stick = {
+        x: Math.round(stick.x * 100) / 100,
+        y: Math.round(stick.y * 100) / 100,
+      };
     }
 
-    // Update enemies
-    this.enemies.forEach((enemy, index) => {
-      enemy.update(deltaTime);
-      if (enemy.y > this.canvas.height + 50) {
-        this.enemies.splice(index, 1);
+    if (touching && touch.direct) {
+      // Direct control eases towards the finger only while it moves
+      if (touch.moved) {
+        input.touch = { direct: true, x: touch.x, y: touch.y };
       }
-    });
-
-    // Spawn power-ups
-    this.powerUpSpawnTimer += deltaTime;
-    if (this.powerUpSpawnTimer > this.powerUpSpawnRate) {
-      this.spawnPowerUp();
-      this.powerUpSpawnTimer = 0;
-      // Randomize next spawn time (10-20 seconds)
-      this.powerUpSpawnRate = 10000 + Math.random() * 10000;
+      touch.moved = false;
+    } else if (touching) {
+      // Drags of a unit or less keep adding up until they count, so a
+      // resting finger doesn't jitter the ship. Sensitivity is applied here
+      // so recordings hold the scaled drag.
+      const sensitivity = this.settings.touchSensitivity;
+      const dx = Math.abs(touch.dx) > 1 ? touch.dx : 0;
+      const dy = Math.abs(touch.dy) > 1 ? touch.dy : 0;
+      if (dx !== 0 || dy !== 0) {
+        input.touch = {
+          direct: false,
+          x: dx * sensitivity,
+          y: dy * sensitivity,
+        };
+      }
+      touch.dx -= dx;
+      touch.dy -= dy;
     }
 
-    // Update power-ups
-    this.powerUps.forEach((powerUp, index) => {
-      powerUp.update(deltaTime);
-      if (powerUp.y > this.canvas.height + 50) {
-        this.powerUps.splice(index, 1);
-      }
-    });
+    return input;
+  }
 
-    // Update particles
-    this.particles.forEach((particle, index) => {
-      particle.update(deltaTime);
-      if (particle.life <= 0) {
-        this.particles.splice(index, 1);
+  // Start toggles pause; whenever a menu is showing the pad navigates it
+  handleGamepad() {
+    const pad = this.gamepads;
+    pad.poll();
+
+    const overlay = this.getActiveOverlay();
+    if (pad.wasPressed(GAMEPAD_BUTTONS.start)) {
+      if (this.gameState === "playing" || this.gameState === "countdown") {
+        this.pauseGame();
+        return;
       }
-    });
+      if (overlay && overlay.id === "pauseMenu") {
+        this.resumeGame();
+        return;
+      }
+    }
 
-    // Check collisions
-    this.checkCollisions();
+    if (this.gameState === "playing" || this.gameState === "countdown") return;
+    if (!overlay) return;
+
+    const buttons = Array.from(overlay.querySelectorAll("button")).filter(
+      (button) => !button.closest(".hidden")
+    );
+    if (buttons.length === 0) return;
+    const current = buttons.indexOf(document.activeElement);
 
-    // Check level progression
     if (
-      this.score > 0 &&
-      this.score % 1000 === 0 &&
-      this.score / 1000 > this.level - 1
+      pad.wasPressed(GAMEPAD_BUTTONS.up) ||
+      pad.wasPressed(GAMEPAD_BUTTONS.left)
     ) {
-      this.levelUp();
-    }
-
-    // Update level up message timer
-    if (this.levelUpMessage) {
-      this.levelUpTimer -= deltaTime;
-      if (this.levelUpTimer <= 0) {
-        this.levelUpMessage = null;
+      const previous = current <= 0 ? buttons.length - 1 : current - 1;
+      buttons[previous].focus();
+    } else if (
+      pad.wasPressed(GAMEPAD_BUTTONS.down) ||
+      pad.wasPressed(GAMEPAD_BUTTONS.right)
+    ) {
+      buttons[(current + 1) % buttons.length].focus();
+    } else if (pad.wasPressed(GAMEPAD_BUTTONS.a)) {
+      if (current === -1) {
+        buttons[0].focus();
+      } else {
+        buttons[current].click();
+        buttons[current].blur();
+      }
+    } else if (pad.wasPressed(GAMEPAD_BUTTONS.b)) {
+      if (!this.closeTopOverlay() && this.gameState === "paused") {
+        this.resumeGame();
       }
     }
   }
 
-  handleInput() {
-    const speed = this.player.hasSpeedBoost ? 8 : 5;
-
-    if (this.keys["KeyA"] || this.keys["ArrowLeft"]) {
-      this.player.x = Math.max(this.player.size, this.player.x - speed);
-    }
-    if (this.keys["KeyD"] || this.keys["ArrowRight"]) {
-      this.player.x = Math.min(
-        this.canvas.width - this.player.size,
-        this.player.x + speed
-      );
-    }
-    if (this.keys["KeyW"] || this.keys["ArrowUp"]) {
-      this.player.y = Math.max(this.player.size, this.player.y - speed);
-    }
-    if (this.keys["KeyS"] || this.keys["ArrowDown"]) {
-      this.player.y = Math.min(
-        this.canvas.height - this.player.size,
-        this.player.y + speed
-      );
-    }
-
-    // Hold to fire
-    if (this.keys["Space"]) {
-      this.player.shoot(this.bullets);
-    }
+  // The menu currently on top, or null when none is showing
+  getActiveOverlay() {
+    const overlays = [
+      "developerModal",
+      "settingsScreen",
+      "leaderboardScreen",
+      "hangarScreen",
+      "pauseMenu",
+      "gameOver",
+      "startScreen",
+    ];
+    const id = overlays.find(
+      (overlay) =>
+        !document.getElementById(overlay).classList.contains("hidden")
+    );
+    return id ? document.getElementById(id) : null;
   }
 
-  spawnEnemy() {
-    const x = Math.random() * (this.canvas.width - 40) + 20;
-    this.enemies.push(new Enemy(x, -30));
+  // Solo runs use the configurable bindings; co-op players have fixed keys
+  isActionHeld(action, slot = null) {
+    const codes =
+      slot === null
+        ? this.settings.bindings[action]
+        : COOP_BINDINGS[slot][action];
+    return codes.some((code) => this.keys[code]);
   }
 
-  spawnPowerUp() {
-    const x = Math.random() * (this.canvas.width - 60) + 30;
-    const types = ["rapidFire", "shield", "multiShot", "speedBoost"];
-    const type = types[Math.floor(Math.random() * types.length)];
-    this.powerUps.push(new PowerUp(x, -30, type));
+  isCoopKey(code) {
+    return (
+      this.playerCount === 2 &&
+      COOP_BINDINGS.some((keys) =>
+        Object.values(keys).some((codes) => codes.includes(code))
+      )
+    );
   }
 
-  checkCollisions() {
-    // Bullet-Enemy collisions
-    this.bullets.forEach((bullet, bulletIndex) => {
-      this.enemies.forEach((enemy, enemyIndex) => {
-        if (this.isColliding(bullet, enemy)) {
-          // Create explosion particles
-          this.createExplosion(enemy.x, enemy.y, "#ff4444");
+  gameOver(result) {
+    this.gameState = "gameOver";
+    const { score, level } = result;
+    let isNewRun = false;
 
-          // Remove bullet and enemy
-          this.bullets.splice(bulletIndex, 1);
-          this.enemies.splice(enemyIndex, 1);
+    this.audio.stopMusic();
+    this.audio.playGameOver();
 
-          // Increase score
-          this.score += 100;
-          this.updateUI();
-        }
-      });
-    });
+    if (this.replay) {
+      // A replay is only trustworthy if it lands on the recorded score
+      const expected = this.replay.recording.finalScore;
+      if (score !== expected) {
+        console.warn(`Replay diverged: expected ${expected}, got ${score}`);
+      }
+      this.stopReplay();
+    } else if (this.recorder) {
+      this.saveLastRecording(this.recorder.finish(score, level));
+      this.recorder = null;
+      isNewRun = true;
+      // A finished run can't be continued
+      this.clearSavedRun();
+    }
 
-    // Player-Enemy collisions
-    this.enemies.forEach((enemy, index) => {
-      if (this.isColliding(this.player, enemy)) {
-        // Create explosion
-        this.createExplosion(enemy.x, enemy.y, "#ffff00");
+    // Daily runs keep their own per-day record
+    const dailyResult = document.getElementById("dailyResult");
+    dailyResult.classList.toggle("hidden", !(isNewRun && this.daily));
+    if (isNewRun && this.daily) {
+      const { best, isNewBest, streak } = this.dailyRecords.record(
+        this.daily.day,
+        score
+      );
+      dailyResult.textContent = `${
+        isNewBest ? "New daily best!" : `Daily best: ${best}`
+      } · ${streak} day streak`;
+    }
 
-        // Remove enemy
-        this.enemies.splice(index, 1);
+    // Finished runs count towards the hangar's unlock milestones
+    const unlocks = isNewRun
+      ? this.runUnlocks.concat(
+          this.hangar.record({ bestScore: score, bestLevel: level })
+        )
+      : [];
+    this.runUnlocks = [];
+    const unlockMessage = document.getElementById("unlockMessage");
+    unlockMessage.classList.toggle("hidden", unlocks.length === 0);
+    unlockMessage.textContent = `New ship unlocked: ${unlocks
+      .map((name) => SHIPS[name].name)
+      .join(", ")}! Pick it in the hangar.`;
+
+    // Replays and daily runs never go on the leaderboard
+    this.pendingHighScore =
+      isNewRun && !this.daily && this.highScores.qualifies(score)
+        ? result
+        : null;
+    const nameEntry = document.getElementById("nameEntry");
+    nameEntry.classList.toggle("hidden", !this.pendingHighScore);
+    document.getElementById("rankMessage").textContent = "";
+
+    document.getElementById("finalScore").textContent = score;
+    const coopScores = document.getElementById("coopScores");
+    coopScores.classList.toggle("hidden", result.playerScores.length < 2);
+    coopScores.textContent = result.playerScores
+      .map((playerScore, index) => `P${index + 1}: ${playerScore}`)
+      .join("  |  ");
+    document.getElementById("gameOver").classList.remove("hidden");
 
-        // Decrease lives (unless player has shield)
-        if (!this.player.hasShield) {
-          this.lives--;
-          this.updateUI();
+    if (this.pendingHighScore) {
+      const nameInput = document.getElementById("nameInput");
+      nameInput.value = "";
+      nameInput.focus();
+    }
+  }
 
-          if (this.lives <= 0) {
-            this.gameOver();
-          }
-        }
-      }
+  submitHighScore() {
+    if (!this.pendingHighScore) return;
+
+    const { score, level, duration } = this.pendingHighScore;
+    const name = document.getElementById("nameInput").value;
+    const rank = this.highScores.add({
+      name: name,
+      score: score,
+      level: level,
+      duration: duration,
+      date: new Date().toISOString(),
     });
+    this.pendingHighScore = null;
 
-    // Player-PowerUp collisions
-    this.powerUps.forEach((powerUp, index) => {
-      if (this.isColliding(this.player, powerUp)) {
-        // Create pickup particles
-        this.createExplosion(powerUp.x, powerUp.y, powerUp.color);
-
-        // Apply power-up effect
-        this.player.applyPowerUp(powerUp.type);
+    document.getElementById("nameEntry").classList.add("hidden");
+    document.getElementById("rankMessage").textContent = `Rank #${rank + 1}`;
+  }
 
-        // Remove power-up
-        this.powerUps.splice(index, 1);
+  showLeaderboard() {
+    const list = document.getElementById("leaderboardList");
+    const entries = this.highScores.entries;
+    list.textContent = "";
+
+    if (entries.length === 0) {
+      const empty = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 5;
+      cell.textContent = "No scores yet - go set one!";
+      empty.appendChild(cell);
+      list.appendChild(empty);
+    }
 
-        // Increase score
-        this.score += 50;
-        this.updateUI();
-      }
+    entries.forEach((entry, index) => {
+      const row = document.createElement("tr");
+      const minutes = Math.floor(entry.duration / 60000);
+      const seconds = Math.floor((entry.duration % 60000) / 1000);
+      [
+        `${index + 1}. ${entry.name}`,
+        entry.score,
+        entry.level,
+        `${minutes}:${String(seconds).padStart(2, "0")}`,
+        new Date(entry.date).toLocaleDateString(),
+      ].forEach((value) => {
+        // textContent keeps stored names from injecting markup
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      list.appendChild(row);
     });
-  }
 
-  isColliding(obj1, obj2) {
-    const dx = obj1.x - obj2.x;
-    const dy = obj1.y - obj2.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance < obj1.size + obj2.size;
+    document.getElementById("startScreen").classList.add("hidden");
+    document.getElementById("leaderboardScreen").classList.remove("hidden");
   }
 
-  createExplosion(x, y, color) {
-    for (let i = 0; i < 15; i++) {
-      this.particles.push(new Particle(x, y, color));
-    }
+  hideLeaderboard() {
+    document.getElementById("leaderboardScreen").classList.add("hidden");
+    document.getElementById("startScreen").classList.remove("hidden");
   }
 
-  gameOver() {
-    this.gameState = "gameOver";
-    document.getElementById("finalScore").textContent = this.score;
-    document.getElementById("gameOver").classList.remove("hidden");
+  // players is 1 for a solo run or 2 for co-op, where each player picks
+  showHangar(players) {
+    this.hangarPlayers = players;
+    this.hangarSlot = 0;
+    document.getElementById("startScreen").classList.add("hidden");
+    this.renderHangar();
+    document.getElementById("hangarScreen").classList.remove("hidden");
   }
 
-  render() {
-    // Clear canvas properly to prevent color accumulation
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.fillStyle = "rgba(0, 0, 0, 0.05)"; // Reduced opacity for subtle trail effect
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  hideHangar() {
+    document.getElementById("hangarScreen").classList.add("hidden");
+    document.getElementById("startScreen").classList.remove("hidden");
+  }
 
-    // Draw stars
-    this.stars.forEach((star) => {
-      this.ctx.fillStyle = `rgba(255, 255, 255, ${star.opacity})`;
-      this.ctx.fillRect(star.x, star.y, star.size, star.size);
+  // One card per ship: a preview, its stats and either a select button or
+  // the milestone that unlocks it
+  renderHangar() {
+    const slot = this.hangarSlot;
+    const coop = this.hangarPlayers === 2;
+    document.getElementById("hangarSlots").classList.toggle("hidden", !coop);
+    [0, 1].forEach((index) => {
+      document
+        .getElementById(`hangarSlot${index + 1}Btn`)
+        .classList.toggle("active", index === slot);
     });
 
-    if (this.gameState !== "playing" && this.gameState !== "paused") return;
+    const list = document.getElementById("shipList");
+    list.textContent = "";
+    Object.keys(SHIPS).forEach((name) => {
+      const ship = SHIPS[name];
+      const unlocked = this.hangar.isUnlocked(name);
+      const card = document.createElement("button");
+      card.className = "ship-card";
+      card.classList.toggle("selected", this.hangar.selected[slot] === name);
+      card.disabled = !unlocked;
+      card.appendChild(this.createShipPreview(name, slot, unlocked));
+
+      // textContent throughout, like the leaderboard
+      const details = document.createElement("div");
+      const lines = [
+        ship.name,
+        unlocked ? ship.description : `Locked: ${ship.unlock.label}`,
+        `Speed ${this.rateShip(name, "speed")}  Fire ${this.rateShip(
+          name,
+          "shootRate"
+        )}`,
+        `${SHIP_WEAPONS[ship.weapon].name} · Lives ${
+          ship.lives > 0 ? "+" : ""
+        }${ship.lives}`,
+      ];
+      lines.forEach((text, index) => {
+        const line = document.createElement("p");
+        line.textContent = text;
+        if (index === 0) line.className = "ship-name";
+        details.appendChild(line);
+      });
+      card.appendChild(details);
+
+      card.addEventListener("click", () => {
+        if (this.hangar.select(slot, name)) {
+          this.renderHangar();
+        }
+      });
+      list.appendChild(card);
+    });
+  }
+
+  // Draws the ship in the player's color, dimmed while locked
+  createShipPreview(name, slot, unlocked) {
+    const preview = document.createElement("canvas");
+    const pixelRatio = window.devicePixelRatio || 1;
+    preview.width = 70 * pixelRatio;
+    preview.height = 80 * pixelRatio;
+    preview.style.width = "70px";
+    preview.style.height = "80px";
+    const ctx = preview.getContext("2d");
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.globalAlpha = unlocked ? 1 : 0.3;
+    new Player(35, 35, slot, name).draw(ctx);
+    return preview;
+  }
+
+  // A stat as five pips, scaled between the lowest and highest ship. Lower
+  // shootRate is faster firing, so it counts in reverse.
+  rateShip(name, stat) {
+    const values = Object.keys(SHIPS).map((ship) => SHIPS[ship][stat]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    let rating = (SHIPS[name][stat] - min) / (max - min || 1);
+    if (stat === "shootRate") rating = 1 - rating;
+    const pips = 1 + Math.round(rating * 4);
+    return "■".repeat(pips) + "□".repeat(5 - pips);
+  }
+
+  // Closes the developer modal, settings, leaderboard or hangar if one is
+  // open
+  closeTopOverlay() {
+    const isOpen = (id) =>
+      !document.getElementById(id).classList.contains("hidden");
+
+    if (isOpen("developerModal")) {
+      this.hideDeveloperModal();
+    } else if (isOpen("settingsScreen")) {
+      this.hideSettings();
+    } else if (isOpen("leaderboardScreen")) {
+      this.hideLeaderboard();
+    } else if (isOpen("hangarScreen")) {
+      this.hideHangar();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  showSettings() {
+    // Settings open from the start screen or the pause menu - go back there
+    this.settingsReturnTo =
+      this.gameState === "paused" ? "pauseMenu" : "startScreen";
+    document.getElementById(this.settingsReturnTo).classList.add("hidden");
+    this.renderSettings();
+    document.getElementById("settingsScreen").classList.remove("hidden");
+  }
+
+  hideSettings() {
+    this.rebinding = null;
+    document.getElementById("settingsScreen").classList.add("hidden");
+    document.getElementById(this.settingsReturnTo).classList.remove("hidden");
+  }
+
+  renderSettings() {
+    const settings = this.settings;
+    document.getElementById("difficultySelect").value = settings.difficulty;
+    document.getElementById("coopLivesSelect").value = settings.coopLives;
+    document.getElementById("touchSchemeSelect").value = settings.touchScheme;
+    document.getElementById("touchSensitivity").value = Math.round(
+      settings.touchSensitivity * 100
+    );
+    document.getElementById("particlesToggle").checked =
+      settings.effects.particles;
+    document.getElementById("starsToggle").checked = settings.effects.stars;
+    document.getElementById("hitboxesToggle").checked = settings.showHitboxes;
+    this.renderBindings();
+  }
+
+  renderBindings() {
+    const list = document.getElementById("bindingsList");
+    list.innerHTML = "";
+
+    Object.keys(ACTION_LABELS).forEach((action) => {
+      const row = document.createElement("tr");
+      const label = document.createElement("td");
+      label.textContent = ACTION_LABELS[action];
+      row.appendChild(label);
+
+      this.settings.bindings[action].forEach((code, slot) => {
+        const cell = document.createElement("td");
+        const button = document.createElement("button");
+        const listening =
+          this.rebinding &&
+          this.rebinding.action === action &&
+          this.rebinding.slot === slot;
+        button.textContent = listening ? "Press a key" : formatKeyCode(code);
+        button.classList.toggle("listening", !!listening);
+        button.addEventListener("click", () => {
+          this.rebinding = { action: action, slot: slot };
+          button.blur(); // The next key press should rebind, not click again
+          this.renderBindings();
+        });
+        cell.appendChild(button);
+        row.appendChild(cell);
+      });
+
+      list.appendChild(row);
+    });
+  }
+
+  finishRebinding(code) {
+    const { action, slot } = this.rebinding;
+    this.rebinding = null;
+
+    if (code === "Backspace" || code === "Delete") {
+      this.settings.bind(action, slot, null);
+    } else if (code !== "Escape") {
+      this.settings.bind(action, slot, code);
+    }
+
+    // Don't leave a key held down under its old meaning
+    this.keys = {};
+    this.renderBindings();
+  }
+
+  render(alpha = 1) {
+    // Entities only move while playing, so don't blend frozen positions
+    const blend = this.gameState === "playing" ? alpha : 1;
+
+    // Everything is drawn in playfield units, scaled up to device pixels
+    this.ctx.setTransform(
+      this.canvas.width / this.width,
+      0,
+      0,
+      this.canvas.height / this.height,
+      0,
+      0
+    );
+
+    // The opaque background replaces the whole previous frame
+    this.background.draw(this.ctx, alpha, this.settings.effects.stars);
+
+    if (
+      this.gameState !== "playing" &&
+      this.gameState !== "paused" &&
+      this.gameState !== "countdown"
+    ) {
+      return;
+    }
+
+    const core = this.core;
 
     // Draw player
-    this.player.draw(this.ctx);
+    core.players.forEach((player) => player.draw(this.ctx, blend));
 
     // Draw bullets
-    this.bullets.forEach((bullet) => bullet.draw(this.ctx));
+    core.bullets.forEach((bullet) => bullet.draw(this.ctx, blend));
+    core.missiles.forEach((missile) => missile.draw(this.ctx, blend));
+    core.lasers.forEach((laser) => this.drawLaser(laser));
 
     // Draw enemies
-    this.enemies.forEach((enemy) => enemy.draw(this.ctx));
+    core.enemies.forEach((enemy) => enemy.draw(this.ctx, blend));
+
+    // Draw boss
+    if (core.boss) {
+      core.boss.draw(this.ctx, blend);
+    }
+
+    // Draw hostile projectiles
+    core.enemyBullets.forEach((bullet) => bullet.draw(this.ctx, blend));
 
     // Draw power-ups
-    this.powerUps.forEach((powerUp) => powerUp.draw(this.ctx));
+    core.powerUps.forEach((powerUp) => powerUp.draw(this.ctx, blend));
 
     // Draw particles
-    this.particles.forEach((particle) => particle.draw(this.ctx));
+    if (this.settings.effects.particles) {
+      core.particles.forEach((particle) => particle.draw(this.ctx, blend));
+    }
+
+    // Draw score popups
+    core.scorePopups.forEach((popup) => popup.draw(this.ctx, blend));
+
+    if (this.settings.showHitboxes) {
+      this.drawHitboxes();
+    }
+
+    // Player two's power-ups line up from the opposite corner
+    core.players.forEach((player) => this.drawPowerUpHud(player));
+
+    // Draw boss health bar
+    if (core.boss) {
+      this.drawBossHealthBar();
+    }
 
     // Draw level up message
-    if (this.levelUpMessage && this.gameState === "playing") {
+    if (core.levelUpMessage && this.gameState === "playing") {
       this.drawLevelUpMessage();
     }
 
+    // Bomb flash, faded out in update()
+    if (this.bombFlash > 0) {
+      this.ctx.fillStyle = `rgba(255, 255, 255, ${this.bombFlash})`;
+      this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
     // Draw pause overlay
     if (this.gameState === "paused") {
       this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
-      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.ctx.fillRect(0, 0, this.width, this.height);
     }
+
+    if (this.gameState === "countdown") {
+      this.drawCountdown();
+    }
+  }
+
+  // Big 3-2-1 over the frozen playfield; each number shrinks and fades
+  drawCountdown() {
+    const seconds = Math.ceil(this.countdownTimer / 1000);
+    const progress = (this.countdownTimer % 1000) / 1000 || 1;
+    this.ctx.save();
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+    this.ctx.fillRect(0, 0, this.width, this.height);
+
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    this.ctx.font = `bold ${Math.floor(60 + 40 * progress)}px Orbitron`;
+    this.ctx.shadowColor = "#00ffff";
+    this.ctx.shadowBlur = 20;
+    this.ctx.globalAlpha = 0.4 + 0.6 * progress;
+    this.ctx.fillStyle = "#00ffff";
+    this.ctx.fillText(seconds, this.width / 2, this.height / 2);
+    this.ctx.restore();
+  }
+
+  // Debug overlay: broad phase circles in yellow, exact shapes in green.
+  // Drawn at the simulated positions, so they can lead the sprites slightly.
+  drawHitboxes() {
+    const core = this.core;
+    const entities = [
+      ...core.getActivePlayers(),
+      ...core.enemies,
+      ...core.bullets,
+      ...core.missiles,
+      ...core.enemyBullets,
+      ...core.powerUps,
+    ];
+    if (core.boss) {
+      entities.push(core.boss, ...core.boss.getWeakPoints());
+    }
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = 1;
+    entities.forEach((entity) => {
+      if (entity.hitbox) {
+        ctx.strokeStyle = "rgba(255, 255, 0, 0.4)";
+        ctx.beginPath();
+        ctx.arc(entity.x, entity.y, getBoundingRadius(entity), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      ctx.strokeStyle = "#00ff00";
+      getWorldShapes(entity).forEach((shape) => {
+        ctx.beginPath();
+        if (shape.circle) {
+          ctx.arc(
+            shape.circle.x,
+            shape.circle.y,
+            shape.circle.r,
+            0,
+            Math.PI * 2
+          );
+        } else {
+          shape.polygon.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+          });
+          ctx.closePath();
+        }
+        ctx.stroke();
+      });
+    });
+    ctx.restore();
+  }
+
+  // A ship's active power-ups along a bottom corner (left for player one,
+  // right for player two): icon, radial countdown, stack count, and a blink
+  // over the last seconds
+  drawPowerUpHud(player) {
+    const types = Object.keys(player.powerUpTimers);
+    if (types.length === 0) return;
+
+    const ctx = this.ctx;
+    // Scales with the canvas but never gets too small to read on phones
+    const radius = Math.max(13, Math.min(20, this.width / 30));
+    const spacing = radius * 2 + 10;
+    // In co-op each ship gets half the width
+    const width = this.width / this.core.players.length;
+    const perRow = Math.max(1, Math.floor((width - 10) / spacing));
+
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    types.forEach((type, i) => {
+      const powerUp = POWER_UPS[type];
+      const offset = 10 + radius + (i % perRow) * spacing;
+      const x = player.index === 0 ? offset : this.width - offset;
+      const y = this.height - 10 - radius - Math.floor(i / perRow) * spacing;
+      const remaining = player.powerUpTimers[type];
+      const fraction = remaining / player.powerUpDurations[type];
+
+      ctx.globalAlpha = player.isPowerUpBlinking(type) ? 0.3 : 1;
+
+      // Icon
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = powerUp.color;
+      ctx.font = `bold ${Math.round(radius)}px Orbitron`;
+      ctx.fillText(powerUp.symbol, x, y + 1);
+
+      // Radial countdown, draining clockwise from the top
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.strokeStyle =
+        remaining < POWER_UP_WARNING_TIME ? "#ff4444" : powerUp.color;
+      ctx.beginPath();
+      ctx.arc(
+        x,
+        y,
+        radius,
+        -Math.PI / 2,
+        -Math.PI / 2 + fraction * Math.PI * 2
+      );
+      ctx.stroke();
+
+      // Stack count
+      const stacks = player.powerUpStacks[type];
+      if (stacks > 1) {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = "#ffffff";
+        ctx.font = `bold ${Math.round(radius * 0.6)}px Orbitron`;
+        ctx.fillText(`x${stacks}`, x + radius * 0.8, y - radius * 0.8);
+      }
+    });
+
+    ctx.restore();
+  }
+
+  drawLaser(laser) {
+    const ctx = this.ctx;
+    ctx.save();
+    // Fades over the beam's short lifetime
+    ctx.globalAlpha = Math.min(1, laser.timer / 100);
+    ctx.shadowColor = "#33ccff";
+    ctx.shadowBlur = 15;
+    ctx.fillStyle = "rgba(51, 204, 255, 0.6)";
+    ctx.fillRect(laser.x - 6, 0, 12, laser.y);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(laser.x - 2, 0, 4, laser.y);
+    ctx.restore();
+  }
+
+  drawBossHealthBar() {
+    const boss = this.core.boss;
+    const width = this.width * 0.6;
+    const x = (this.width - width) / 2;
+    const y = 16;
+    const height = 10;
+
+    this.ctx.save();
+
+    // Frame and remaining health
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.fillStyle = boss.color;
+    this.ctx.shadowColor = boss.color;
+    this.ctx.shadowBlur = 10;
+    this.ctx.fillRect(x, y, width * Math.max(0, boss.hp / boss.maxHp), height);
+
+    // Ticks where the next phases begin
+    this.ctx.shadowBlur = 0;
+    this.ctx.fillStyle = "#ffffff";
+    BOSS_PHASES.slice(1).forEach((phase) => {
+      this.ctx.fillRect(x + width * phase.healthBelow - 1, y, 2, height);
+    });
+
+    this.ctx.strokeStyle = "#ffffff";
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(x, y, width, height);
+
+    // Label
+    this.ctx.font = "bold 12px Orbitron";
+    this.ctx.textAlign = "center";
+    this.ctx.fillText(
+      `BOSS - PHASE ${boss.phase + 1}`,
+      this.width / 2,
+      y + height + 14
+    );
+
+    this.ctx.restore();
   }
 
   drawLevelUpMessage() {
+    const { levelUpMessage, levelUpSubtitle, levelUpTimer, levelUpDuration } =
+      this.core;
     this.ctx.save();
 
     // Calculate animation progress (0 to 1)
-    const progress = 1 - this.levelUpTimer / this.levelUpDuration;
-    const fadeProgress = this.levelUpTimer < 500 ? this.levelUpTimer / 500 : 1;
+    const progress = 1 - levelUpTimer / levelUpDuration;
+    const fadeProgress = levelUpTimer < 500 ? levelUpTimer / 500 : 1;
 
     // Animated scale and position
     const scale = 0.5 + progress * 0.5; // Grows from 0.5 to 1
-    const y = this.canvas.height * 0.3 + (1 - progress) * 50; // Slides up
+    const y = this.height * 0.3 + (1 - progress) * 50; // Slides up
 
     // Set up text styling
     this.ctx.textAlign = "center";
@@ -711,435 +1688,1315 @@ class Game {
 
     // Draw main text
     this.ctx.fillStyle = "#ffaa00";
-    this.ctx.fillText(this.levelUpMessage, this.canvas.width / 2, y);
+    this.ctx.fillText(levelUpMessage, this.width / 2, y);
 
     // Draw outline
     this.ctx.strokeStyle = "#ffffff";
     this.ctx.lineWidth = 2;
-    this.ctx.strokeText(this.levelUpMessage, this.canvas.width / 2, y);
+    this.ctx.strokeText(levelUpMessage, this.width / 2, y);
 
-    // Draw subtitle if it's a special level
-    if (this.level % 5 === 0 || this.level % 3 === 0) {
+    // Draw subtitle for special rewards
+    if (levelUpSubtitle) {
       this.ctx.font = `bold ${Math.floor(24 * scale)}px Orbitron`;
       this.ctx.fillStyle = "#00ffff";
       this.ctx.shadowColor = "#00ffff";
       this.ctx.shadowBlur = 15;
 
-      let subtitle = "";
-      if (this.level % 5 === 0) {
-        subtitle = "+1 LIFE AWARDED!";
-      } else if (this.level % 3 === 0) {
-        subtitle = "DOUBLE POWER-UP!";
-      }
-
-      this.ctx.fillText(subtitle, this.canvas.width / 2, y + 60 * scale);
-      this.ctx.strokeText(subtitle, this.canvas.width / 2, y + 60 * scale);
+      const subtitleY = y + 60 * scale;
+      this.ctx.fillText(levelUpSubtitle, this.width / 2, subtitleY);
+      this.ctx.strokeText(levelUpSubtitle, this.width / 2, subtitleY);
     }
 
     this.ctx.restore();
   }
 }
 
-class Player {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.size = 18; // Slightly larger for better rocket details
-    this.shootCooldown = 0;
-    this.shootRate = 150; // milliseconds - faster for hold-to-fire
+// Logical playfield sizes in game units. Core positions, recordings and saves
+// all use these; only the canvas scaling follows the window.
+const PLAYFIELDS = {
+  landscape: { width: 800, height: 600 },
+  portrait: { width: 420, height: 640 },
+};
+
+// Background looks, one per band of BACKGROUND_BAND_LEVELS levels - the
+// cycle starts over once they run out. Colours are "r, g, b" strings so they
+// can be blended and given an alpha; speed scales every parallax layer.
+const BACKGROUND_BAND_LEVELS = 3;
+const BACKGROUND_THEMES = [
+  {
+    name: "Deep Space",
+    sky: ["0, 0, 6", "6, 6, 28"],
+    nebula: ["40, 60, 160", "90, 40, 140"],
+    planet: ["70, 100, 170", "150, 110, 90"],
+    stars: "255, 255, 255",
+    speed: 1,
+  },
+  {
+    name: "Crimson Drift",
+    sky: ["10, 0, 3", "34, 6, 10"],
+    nebula: ["170, 30, 50", "200, 90, 30"],
+    planet: ["170, 80, 60", "120, 60, 90"],
+    stars: "255, 220, 210",
+    speed: 1.25,
+  },
+  {
+    name: "Emerald Rift",
+    sky: ["0, 8, 5", "2, 28, 20"],
+    nebula: ["20, 150, 110", "40, 110, 160"],
+    planet: ["60, 150, 120", "140, 160, 80"],
+    stars: "220, 255, 235",
+    speed: 1.5,
+  },
+  {
+    name: "Violet Storm",
+    sky: ["6, 0, 12", "26, 6, 40"],
+    nebula: ["130, 40, 190", "200, 50, 150"],
+    planet: ["130, 90, 190", "180, 90, 140"],
+    stars: "240, 220, 255",
+    speed: 1.75,
+  },
+  {
+    name: "Solar Core",
+    sky: ["10, 5, 0", "38, 18, 2"],
+    nebula: ["220, 120, 20", "230, 60, 20"],
+    planet: ["210, 150, 70", "170, 90, 40"],
+    stars: "255, 240, 200",
+    speed: 2,
+  },
+];
+const BACKGROUND_FADE_TIME = 2500; // ms to cross-fade between themes
+
+// Far layers are small, dim and slow; near layers big, bright and fast.
+// Speeds are pixels per second before the theme's speed multiplier.
+const STAR_LAYERS = [
+  { count: 70, speed: 6, size: [0.5, 1], opacity: [0.2, 0.5] },
+  { count: 40, speed: 18, size: [1, 1.6], opacity: [0.4, 0.8] },
+  { count: 15, speed: 40, size: [1.6, 2.4], opacity: [0.7, 1] },
+];
+
+function getBackgroundTheme(level) {
+  const band = Math.floor((Math.max(1, level) - 1) / BACKGROUND_BAND_LEVELS);
+  return BACKGROUND_THEMES[band % BACKGROUND_THEMES.length];
+}
 
-    // Power-up states
-    this.hasRapidFire = false;
-    this.hasShield = false;
-    this.hasMultiShot = false;
-    this.hasSpeedBoost = false;
-    this.powerUpTimers = {};
-  }
+// Blends two "r, g, b" colours; t = 0 gives from, 1 gives to
+function mixColor(from, to, t) {
+  const a = from.split(",").map(Number);
+  const b = to.split(",").map(Number);
+  return a.map((value, i) => Math.round(lerp(value, b[i], t))).join(", ");
+}
 
-  update(deltaTime) {
-    this.shootCooldown = Math.max(0, this.shootCooldown - deltaTime);
+function randomBetween([min, max]) {
+  return min + Math.random() * (max - min);
+}
 
-    // Update power-up timers
-    Object.keys(this.powerUpTimers).forEach((powerUp) => {
-      this.powerUpTimers[powerUp] -= deltaTime;
-      if (this.powerUpTimers[powerUp] <= 0) {
-        this.removePowerUp(powerUp);
+// The scrolling backdrop: parallax star layers, drifting nebulae, a distant
+// planet and the odd comet. Purely cosmetic, so it uses Math.random and
+// keeps moving while the game is paused or on a menu.
+class Background {
+  constructor(width, height) {
+    this.theme = BACKGROUND_THEMES[0];
+    this.previousTheme = this.theme;
+    this.fade = 1; // Progress of the cross-fade from previousTheme, 0 to 1
+    this.resize(width, height);
+  }
+
+  // Scatters everything afresh over a playfield of this size
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.layers = STAR_LAYERS.map((layer) => {
+      const stars = [];
+      for (let i = 0; i < layer.count; i++) {
+        stars.push(this.createStar(layer, Math.random() * height));
       }
+      return { layer, stars };
     });
+    this.nebulae = [];
+    for (let i = 0; i < 3; i++) {
+      this.nebulae.push(this.createNebula(Math.random() * height));
+    }
+    this.planet = this.createPlanet(Math.random() * height);
+    this.comets = [];
+    this.cometTimer = randomBetween([4000, 12000]);
   }
 
-  shoot(bullets) {
-    const currentShootRate = this.hasRapidFire
-      ? this.shootRate * 0.3
-      : this.shootRate;
+  // Cross-fades to the theme for this level, if it's a different one
+  setLevel(level) {
+    const theme = getBackgroundTheme(level);
+    if (theme === this.theme) return;
+    this.previousTheme = this.getPalette();
+    this.theme = theme;
+    this.fade = 0;
+  }
 
-    if (this.shootCooldown <= 0) {
-      if (this.hasMultiShot) {
-        // Triple shot
-        bullets.push(new Bullet(this.x - 10, this.y - this.size));
-        bullets.push(new Bullet(this.x, this.y - this.size));
-        bullets.push(new Bullet(this.x + 10, this.y - this.size));
-      } else {
-        bullets.push(new Bullet(this.x, this.y - this.size));
-      }
-      this.shootCooldown = currentShootRate;
-    }
-  }
-
-  applyPowerUp(type) {
-    const duration = 8000; // 8 seconds
-
-    switch (type) {
-      case "rapidFire":
-        this.hasRapidFire = true;
-        this.powerUpTimers.rapidFire = duration;
-        break;
-      case "shield":
-        this.hasShield = true;
-        this.powerUpTimers.shield = duration;
-        break;
-      case "multiShot":
-        this.hasMultiShot = true;
-        this.powerUpTimers.multiShot = duration;
-        break;
-      case "speedBoost":
-        this.hasSpeedBoost = true;
-        this.powerUpTimers.speedBoost = duration;
-        break;
-    }
-  }
-
-  removePowerUp(type) {
-    switch (type) {
-      case "rapidFire":
-        this.hasRapidFire = false;
-        break;
-      case "shield":
-        this.hasShield = false;
-        break;
-      case "multiShot":
-        this.hasMultiShot = false;
-        break;
-      case "speedBoost":
-        this.hasSpeedBoost = false;
-        break;
-    }
-    delete this.powerUpTimers[type];
-  }
-
-  draw(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
+  createStar(layer, y) {
+    return {
+      x: Math.random() * this.width,
+      y,
+      prevY: y,
+      size: randomBetween(layer.size),
+      opacity: randomBetween(layer.opacity),
+    };
+  }
 
-    // Rocket exhaust/flames
-    ctx.fillStyle = "#ff4400";
-    ctx.shadowColor = "#ff4400";
-    ctx.shadowBlur = 8;
-    ctx.beginPath();
-    ctx.moveTo(-this.size * 0.3, this.size * 0.8);
-    ctx.lineTo(0, this.size * 1.5);
-    ctx.lineTo(this.size * 0.3, this.size * 0.8);
-    ctx.closePath();
-    ctx.fill();
+  createNebula(y) {
+    return {
+      x: Math.random() * this.width,
+      y,
+      prevY: y,
+      radius: randomBetween([120, 220]),
+      color: Math.floor(Math.random() * 2),
+      opacity: randomBetween([0.08, 0.18]),
+      speed: randomBetween([2, 4]),
+    };
+  }
 
-    // Inner flame
-    ctx.fillStyle = "#ffaa00";
-    ctx.shadowBlur = 5;
-    ctx.beginPath();
-    ctx.moveTo(-this.size * 0.2, this.size * 0.8);
-    ctx.lineTo(0, this.size * 1.2);
-    ctx.lineTo(this.size * 0.2, this.size * 0.8);
-    ctx.closePath();
-    ctx.fill();
+  createPlanet(y) {
+    return {
+      x: randomBetween([0.1, 0.9]) * this.width,
+      y,
+      prevY: y,
+      radius: randomBetween([20, 55]),
+      color: Math.floor(Math.random() * 2),
+      ring: Math.random() < 0.4,
+      speed: randomBetween([3, 5]),
+    };
+  }
 
-    // Rocket body (main cylinder)
-    ctx.fillStyle = "#cccccc";
-    ctx.shadowColor = "#00ffff";
-    ctx.shadowBlur = 8;
-    ctx.fillRect(
-      -this.size * 0.4,
-      -this.size * 0.2,
-      this.size * 0.8,
-      this.size * 1.2
-    );
+  // Comets cross from one of the top corners towards the far side
+  createComet() {
+    const fromLeft = Math.random() < 0.5;
+    const speed = randomBetween([250, 400]);
+    const angle = randomBetween([0.35, 0.7]);
+    const x = fromLeft ? -20 : this.width + 20;
+    const y = randomBetween([-20, this.height * 0.3]);
+    return {
+      x,
+      y,
+      prevX: x,
+      prevY: y,
+      vx: Math.cos(angle) * speed * (fromLeft ? 1 : -1),
+      vy: Math.sin(angle) * speed,
+      length: randomBetween([60, 120]),
+    };
+  }
 
-    // Rocket nose cone
-    ctx.fillStyle = "#ffffff";
-    ctx.beginPath();
-    ctx.moveTo(0, -this.size);
-    ctx.lineTo(-this.size * 0.4, -this.size * 0.2);
-    ctx.lineTo(this.size * 0.4, -this.size * 0.2);
-    ctx.closePath();
-    ctx.fill();
+  // The current theme part way through its cross-fade
+  getPalette() {
+    if (this.fade >= 1) return this.theme;
+    const from = this.previousTheme;
+    const to = this.theme;
+    const t = this.fade;
+    return {
+      sky: from.sky.map((color, i) => mixColor(color, to.sky[i], t)),
+      nebula: from.nebula.map((color, i) => mixColor(color, to.nebula[i], t)),
+      planet: from.planet.map((color, i) => mixColor(color, to.planet[i], t)),
+      stars: mixColor(from.stars, to.stars, t),
+      speed: lerp(from.speed, to.speed, t),
+    };
+  }
 
-    // Rocket fins
-    ctx.fillStyle = "#888888";
-    ctx.shadowBlur = 5;
-    // Left fin
-    ctx.beginPath();
-    ctx.moveTo(-this.size * 0.4, this.size * 0.6);
-    ctx.lineTo(-this.size * 0.8, this.size * 1.0);
-    ctx.lineTo(-this.size * 0.4, this.size * 1.0);
-    ctx.closePath();
-    ctx.fill();
+  update(deltaTime) {
+    const dt = deltaTime / 1000; // seconds
+    if (this.fade < 1) {
+      this.fade = Math.min(1, this.fade + deltaTime / BACKGROUND_FADE_TIME);
+    }
+    const speed = this.getPalette().speed;
+
+    this.layers.forEach(({ layer, stars }) => {
+      stars.forEach((star) => {
+        star.prevY = star.y;
+        star.y += layer.speed * speed * dt;
+        if (star.y > this.height) {
+          Object.assign(star, this.createStar(layer, 0));
+        }
+      });
+    });
 
-    // Right fin
-    ctx.beginPath();
-    ctx.moveTo(this.size * 0.4, this.size * 0.6);
-    ctx.lineTo(this.size * 0.8, this.size * 1.0);
-    ctx.lineTo(this.size * 0.4, this.size * 1.0);
-    ctx.closePath();
-    ctx.fill();
+    this.nebulae.forEach((nebula, i) => {
+      nebula.prevY = nebula.y;
+      nebula.y += nebula.speed * speed * dt;
+      if (nebula.y - nebula.radius > this.height) {
+        this.nebulae[i] = this.createNebula(-nebula.radius);
+      }
+    });
 
-    // Rocket details/windows
-    ctx.fillStyle = "#0088ff";
-    ctx.shadowColor = "#0088ff";
-    ctx.shadowBlur = 3;
-    ctx.beginPath();
-    ctx.arc(0, -this.size * 0.5, this.size * 0.15, 0, Math.PI * 2);
-    ctx.fill();
+    const planet = this.planet;
+    planet.prevY = planet.y;
+    planet.y += planet.speed * speed * dt;
+    if (planet.y - planet.radius * 2 > this.height) {
+      // Leave a gap before the next one drifts in
+      this.planet = this.createPlanet(-this.height * randomBetween([0.5, 1.5]));
+    }
 
-    // Body stripes
-    ctx.fillStyle = "#00ffff";
-    ctx.fillRect(
-      -this.size * 0.35,
-      this.size * 0.1,
-      this.size * 0.7,
-      this.size * 0.1
+    this.comets.forEach((comet) => {
+      comet.prevX = comet.x;
+      comet.prevY = comet.y;
+      comet.x += comet.vx * dt;
+      comet.y += comet.vy * dt;
+    });
+    this.comets = this.comets.filter(
+      (comet) =>
+        comet.y - comet.length < this.height &&
+        comet.x + comet.length > 0 &&
+        comet.x - comet.length < this.width
     );
-    ctx.fillRect(
-      -this.size * 0.35,
-      this.size * 0.4,
-      this.size * 0.7,
-      this.size * 0.1
+    this.cometTimer -= deltaTime;
+    if (this.cometTimer <= 0) {
+      this.comets.push(this.createComet());
+      this.cometTimer = randomBetween([8000, 20000]);
+    }
+  }
+
+  // The sky gradient always; the scenery only when showScenery is set
+  draw(ctx, alpha, showScenery) {
+    const palette = this.getPalette();
+
+    const sky = ctx.createLinearGradient(0, 0, 0, this.height);
+    sky.addColorStop(0, `rgb(${palette.sky[0]})`);
+    sky.addColorStop(1, `rgb(${palette.sky[1]})`);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    if (!showScenery) return;
+
+    this.nebulae.forEach((nebula) => {
+      const y = lerp(nebula.prevY, nebula.y, alpha);
+      const color = palette.nebula[nebula.color];
+      const glow = ctx.createRadialGradient(
+        nebula.x,
+        y,
+        0,
+        nebula.x,
+        y,
+        nebula.radius
+      );
+      glow.addColorStop(0, `rgba(${color}, ${nebula.opacity})`);
+      glow.addColorStop(1, `rgba(${color}, 0)`);
+      ctx.fillStyle = glow;
+      ctx.fillRect(
+        nebula.x - nebula.radius,
+        y - nebula.radius,
+        nebula.radius * 2,
+        nebula.radius * 2
+      );
+    });
+
+    this.drawPlanet(ctx, alpha, palette);
+
+    this.layers.forEach(({ stars }) => {
+      stars.forEach((star) => {
+        ctx.fillStyle = `rgba(${palette.stars}, ${star.opacity})`;
+        ctx.fillRect(
+          star.x,
+          lerp(star.prevY, star.y, alpha),
+          star.size,
+          star.size
+        );
+      });
+    });
+
+    this.comets.forEach((comet) => {
+      const x = lerp(comet.prevX, comet.x, alpha);
+      const y = lerp(comet.prevY, comet.y, alpha);
+      const speed = Math.sqrt(comet.vx * comet.vx + comet.vy * comet.vy);
+      const tailX = x - (comet.vx / speed) * comet.length;
+      const tailY = y - (comet.vy / speed) * comet.length;
+
+      const tail = ctx.createLinearGradient(x, y, tailX, tailY);
+      tail.addColorStop(0, `rgba(${palette.stars}, 0.9)`);
+      tail.addColorStop(1, `rgba(${palette.stars}, 0)`);
+      ctx.strokeStyle = tail;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(tailX, tailY);
+      ctx.stroke();
+
+      ctx.fillStyle = "#ffffff";
+      ctx.beginPath();
+      ctx.arc(x, y, 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  // Lit from the top left and kept dim so it reads as far away
+  drawPlanet(ctx, alpha, palette) {
+    const { x, radius, ring } = this.planet;
+    const y = lerp(this.planet.prevY, this.planet.y, alpha);
+    if (y + radius * 2 < 0) return;
+    const color = palette.planet[this.planet.color];
+
+    ctx.save();
+    const shade = ctx.createRadialGradient(
+      x - radius * 0.4,
+      y - radius * 0.4,
+      radius * 0.1,
+      x,
+      y,
+      radius
     );
+    shade.addColorStop(0, `rgba(${color}, 0.6)`);
+    shade.addColorStop(1, `rgba(${palette.sky[1]}, 0.9)`);
+    ctx.fillStyle = shade;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
 
-    // Power-up visual effects
-    if (this.hasShield) {
-      ctx.strokeStyle = "#00ff00";
-      ctx.shadowColor = "#00ff00";
-      ctx.shadowBlur = 15;
-      ctx.lineWidth = 3;
+    if (ring) {
+      ctx.strokeStyle = `rgba(${color}, 0.35)`;
+      ctx.lineWidth = radius * 0.12;
       ctx.beginPath();
-      ctx.arc(0, 0, this.size * 1.5, 0, Math.PI * 2);
+      ctx.ellipse(x, y, radius * 1.8, radius * 0.45, -0.3, 0, Math.PI * 2);
       ctx.stroke();
     }
+    ctx.restore();
+  }
+}
 
-    if (this.hasRapidFire) {
-      ctx.fillStyle = "#ff0000";
-      ctx.shadowColor = "#ff0000";
-      ctx.shadowBlur = 8;
-      ctx.fillRect(
-        -this.size * 0.1,
-        -this.size * 1.2,
-        this.size * 0.2,
-        this.size * 0.3
+// Bass roots (Hz) for the four bars of the background loop: A, F, C, G
+const MUSIC_ROOTS = [55, 43.65, 65.41, 49];
+
+// Synthesized sound effects and adaptive music using the Web Audio API.
+// Nothing is downloaded - every sound is built from oscillators and noise.
+class AudioEngine {
+  constructor(storageKey = "cosmicDefenderAudio") {
+    this.storageKey = storageKey;
+    this.context = null;
+    this.volumes = { master: 0.8, sfx: 0.8, music: 0.5 };
+    this.muted = false;
+
+    // Music sequencer state
+    this.intensity = 1;
+    this.musicTimer = null;
+    this.nextNoteTime = 0;
+    this.musicStep = 0;
+
+    this.loadSettings();
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!saved) return;
+      Object.keys(this.volumes).forEach((channel) => {
+        if (Number.isFinite(saved[channel])) {
+          this.volumes[channel] = Math.max(0, Math.min(1, saved[channel]));
+        }
+      });
+      this.muted = !!saved.muted;
+    } catch (error) {
+      console.warn("Could not load audio settings:", error);
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ ...this.volumes, muted: this.muted })
       );
+    } catch (error) {
+      console.warn("Could not save audio settings:", error);
     }
+  }
 
-    if (this.hasSpeedBoost) {
-      ctx.save();
-      ctx.strokeStyle = "#ffff00";
-      ctx.shadowColor = "#ffff00";
-      ctx.shadowBlur = 3; // Reduced from 10 to 3
-      ctx.lineWidth = 1; // Reduced from 2 to 1
-      ctx.globalAlpha = 0.6; // Make it semi-transparent
-      for (let i = 0; i < 3; i++) {
-        ctx.beginPath();
-        ctx.arc(0, 0, this.size * (1.2 + i * 0.2), 0, Math.PI * 2);
-        ctx.stroke();
-      }
-      ctx.restore();
+  // Browsers only allow audio to start from a user gesture, so the context is
+  // created (or resumed) from the first click on Start
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return; // No Web Audio - stay silent
+
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.sfxGain = this.context.createGain();
+      this.musicGain = this.context.createGain();
+      this.sfxGain.connect(this.masterGain);
+      this.musicGain.connect(this.masterGain);
+      this.masterGain.connect(this.context.destination);
+      this.noiseBuffer = this.createNoiseBuffer();
+      this.applyVolumes();
     }
 
-    ctx.restore();
+    if (this.context.state === "suspended") {
+      this.context.resume();
+    }
   }
-}
 
-class Bullet {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.size = 3;
-    this.speed = 8;
+  applyVolumes() {
+    if (!this.context) return;
+    const now = this.context.currentTime;
+    const master = this.muted ? 0 : this.volumes.master;
+    this.masterGain.gain.setTargetAtTime(master, now, 0.02);
+    this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+    this.musicGain.gain.setTargetAtTime(this.volumes.music, now, 0.02);
   }
 
-  update(deltaTime) {
-    this.y -= this.speed;
-  }
-
-  draw(ctx) {
-    ctx.fillStyle = "#ffff00";
-    ctx.shadowColor = "#ffff00";
-    ctx.shadowBlur = 5;
-    ctx.fillRect(
-      this.x - this.size / 2,
-      this.y - this.size / 2,
-      this.size,
-      this.size * 2
+  setVolume(channel, value) {
+    this.volumes[channel] = Math.max(0, Math.min(1, value));
+    this.applyVolumes();
+    this.saveSettings();
+  }
+
+  toggleMute() {
+    this.muted = !this.muted;
+    this.applyVolumes();
+    this.saveSettings();
+    return this.muted;
+  }
+
+  createNoiseBuffer() {
+    const length = this.context.sampleRate;
+    const buffer = this.context.createBuffer(1, length, length);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  // One enveloped oscillator note that can glide to endFrequency
+  playTone({
+    frequency,
+    endFrequency = frequency,
+    duration,
+    type = "square",
+    volume = 0.3,
+    delay = 0,
+    at = null,
+    destination = this.sfxGain,
+  }) {
+    if (!this.context) return;
+    const start = (at === null ? this.context.currentTime : at) + delay;
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (endFrequency !== frequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(
+        endFrequency,
+        start + duration
+      );
+    }
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+
+  // A burst of filtered white noise - explosions, hits and hi-hats
+  playNoise({
+    duration,
+    volume = 0.3,
+    filterFrequency = 1000,
+    delay = 0,
+    at = null,
+    destination = this.sfxGain,
+  }) {
+    if (!this.context) return;
+    const start = (at === null ? this.context.currentTime : at) + delay;
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = "lowpass";
+    filter.frequency.setValueAtTime(filterFrequency, start);
+    filter.frequency.exponentialRampToValueAtTime(
+      Math.max(40, filterFrequency / 8),
+      start + duration
     );
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    source.start(start);
+    source.stop(start + duration);
+  }
+
+  playShoot() {
+    this.playTone({
+      frequency: 880,
+      endFrequency: 440,
+      duration: 0.08,
+      volume: 0.06,
+    });
+  }
+
+  // Small particle bursts are bullet hits, big ones are kills
+  playExplosion(size) {
+    if (size < 10) {
+      this.playNoise({ duration: 0.06, volume: 0.12, filterFrequency: 3000 });
+      return;
+    }
+
+    const scale = Math.min(2, size / 15);
+    this.playNoise({
+      duration: 0.3 * scale,
+      volume: 0.3,
+      filterFrequency: 1200,
+    });
+    this.playTone({
+      frequency: 140,
+      endFrequency: 40,
+      duration: 0.25 * scale,
+      type: "sine",
+      volume: 0.3,
+    });
+  }
+
+  playPowerUp() {
+    [523, 659, 784, 1047].forEach((frequency, i) => {
+      this.playTone({
+        frequency: frequency,
+        duration: 0.12,
+        type: "sine",
+        volume: 0.2,
+        delay: i * 0.06,
+      });
+    });
+  }
+
+  playShieldHit() {
+    this.playTone({
+      frequency: 300,
+      endFrequency: 900,
+      duration: 0.15,
+      type: "triangle",
+      volume: 0.2,
+    });
+  }
+
+  playLifeLost() {
+    this.playTone({
+      frequency: 440,
+      endFrequency: 80,
+      duration: 0.6,
+      type: "sawtooth",
+      volume: 0.25,
+    });
+    this.playNoise({ duration: 0.5, volume: 0.3, filterFrequency: 600 });
+  }
+
+  playLevelUp() {
+    [392, 523, 659, 784, 1047].forEach((frequency, i) => {
+      this.playTone({
+        frequency: frequency,
+        duration: i === 4 ? 0.4 : 0.12,
+        volume: 0.12,
+        delay: i * 0.09,
+      });
+    });
+  }
+
+  playBossWarning() {
+    for (let i = 0; i < 4; i++) {
+      this.playTone({
+        frequency: i % 2 === 0 ? 220 : 180,
+        duration: 0.3,
+        type: "sawtooth",
+        volume: 0.15,
+        delay: i * 0.35,
+      });
+    }
+  }
+
+  playGameOver() {
+    [392, 330, 262, 196].forEach((frequency, i) => {
+      this.playTone({
+        frequency: frequency,
+        duration: i === 3 ? 1.2 : 0.35,
+        type: "triangle",
+        volume: 0.25,
+        delay: i * 0.3,
+      });
+    });
+  }
+
+  // Music follows the level: faster tempo, and more layers join in
+  setIntensity(level) {
+    this.intensity = level;
+  }
+
+  startMusic() {
+    if (!this.context || this.musicTimer) return;
+    this.nextNoteTime = this.context.currentTime + 0.05;
+    this.musicStep = 0;
+    this.musicTimer = setInterval(() => this.scheduleMusic(), 25);
+  }
+
+  stopMusic() {
+    clearInterval(this.musicTimer);
+    this.musicTimer = null;
+  }
+
+  // Look-ahead scheduling keeps notes on time even if timers are late
+  scheduleMusic() {
+    const tempo = 100 + Math.min(this.intensity, 20) * 3; // beats per minute
+    const stepLength = 60 / tempo / 4; // sixteenth notes
+
+    while (this.nextNoteTime < this.context.currentTime + 0.1) {
+      this.playMusicStep(this.musicStep, this.nextNoteTime);
+      this.nextNoteTime += stepLength;
+      this.musicStep = (this.musicStep + 1) % 64;
+    }
+  }
+
+  playMusicStep(step, time) {
+    const root = MUSIC_ROOTS[Math.floor(step / 16)];
+    const beat = step % 16;
+    const music = { at: time, destination: this.musicGain };
+
+    // Bass line - always playing, jumping an octave on the off-beats
+    if (beat % 2 === 0) {
+      this.playTone({
+        ...music,
+        frequency: beat % 8 === 4 ? root * 2 : root,
+        duration: 0.18,
+        type: "triangle",
+        volume: 0.35,
+      });
+    }
+
+    // Hi-hats from level 3
+    if (this.intensity >= 3 && beat % 2 === 1) {
+      this.playNoise({
+        ...music,
+        duration: 0.04,
+        volume: 0.08,
+        filterFrequency: 8000,
+      });
+    }
+
+    // Lead arpeggio from level 5
+    if (this.intensity >= 5 && beat % 4 === 0) {
+      const intervals = [1, 1.2, 1.5, 2];
+      this.playTone({
+        ...music,
+        frequency: root * 8 * intervals[(beat / 4) % 4],
+        duration: 0.15,
+        type: "square",
+        volume: 0.05,
+      });
+    }
+
+    // Kick drum from level 8
+    if (this.intensity >= 8 && beat % 4 === 0) {
+      this.playTone({
+        ...music,
+        frequency: 150,
+        endFrequency: 45,
+        duration: 0.15,
+        type: "sine",
+        volume: 0.4,
+      });
+    }
   }
 }
 
-class Enemy {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.size = 12;
-    this.speed = 2 + Math.random() * 2;
-    this.rotation = 0;
+// Rebindable actions and the labels the settings screen shows for them
+const ACTION_LABELS = {
+  left: "Move Left",
+  right: "Move Right",
+  up: "Move Up",
+  down: "Move Down",
+  fire: "Fire",
+  pause: "Pause",
+};
+
+// Same-keyboard co-op: player one on WASD + Space, player two on the arrows
+// + Enter. These are fixed so the two sets never overlap; pause keeps its
+// normal binding.
+const COOP_BINDINGS = [
+  {
+    left: ["KeyA"],
+    right: ["KeyD"],
+    up: ["KeyW"],
+    down: ["KeyS"],
+    fire: ["Space"],
+  },
+  {
+    left: ["ArrowLeft"],
+    right: ["ArrowRight"],
+    up: ["ArrowUp"],
+    down: ["ArrowDown"],
+    fire: ["Enter", "NumpadEnter"],
+  },
+];
+
+// Co-op ships draw from one shared pool of lives or keep their own
+const COOP_LIVES = ["shared", "separate"];
+
+// auto picks direct or relative steering from where the touch lands
+const TOUCH_SCHEMES = ["auto", "direct", "relative"];
+
+// Player preferences - key bindings, difficulty, touch steering and effects
+class Settings {
+  constructor(storageKey = "cosmicDefenderSettings") {
+    this.storageKey = storageKey;
+    this.version = 1;
+    this.restoreDefaults();
+    this.load();
   }
 
-  update(deltaTime) {
-    this.y += this.speed;
-    this.rotation += 0.02;
+  restoreDefaults() {
+    // Every action has two key slots; null is an empty slot
+    this.bindings = {
+      left: ["ArrowLeft", "KeyA"],
+      right: ["ArrowRight", "KeyD"],
+      up: ["ArrowUp", "KeyW"],
+      down: ["ArrowDown", "KeyS"],
+      fire: ["Space", null],
+      pause: ["Escape", "KeyP"],
+    };
+    this.difficulty = "normal";
+    this.coopLives = "shared";
+    this.touchScheme = "auto";
+    this.touchSensitivity = 1;
+    this.effects = { particles: true, stars: true };
+    this.showHitboxes = false; // Debug overlay of collision shapes
   }
 
-  draw(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation);
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (!raw) return;
 
-    // Enemy body
-    ctx.fillStyle = "#ff4444";
-    ctx.beginPath();
-    ctx.moveTo(0, -this.size);
-    ctx.lineTo(-this.size, this.size);
-    ctx.lineTo(0, this.size * 0.5);
-    ctx.lineTo(this.size, this.size);
-    ctx.closePath();
-    ctx.fill();
+      const data = JSON.parse(raw);
+      if (!data || data.version !== this.version) {
+        throw new Error(`unsupported version ${data && data.version}`);
+      }
 
-    // Enemy glow
-    ctx.shadowColor = "#ff4444";
-    ctx.shadowBlur = 8;
-    ctx.stroke();
+      // Keep the default for anything missing or malformed
+      Object.keys(this.bindings).forEach((action) => {
+        const codes = data.bindings && data.bindings[action];
+        if (
+          Array.isArray(codes) &&
+          codes.length === 2 &&
+          codes.every((code) => code === null || typeof code === "string")
+        ) {
+          this.bindings[action] = codes;
+        }
+      });
+      if (DIFFICULTY_PRESETS[data.difficulty]) {
+        this.difficulty = data.difficulty;
+      }
+      if (COOP_LIVES.includes(data.coopLives)) {
+        this.coopLives = data.coopLives;
+      }
+      if (TOUCH_SCHEMES.includes(data.touchScheme)) {
+        this.touchScheme = data.touchScheme;
+      }
+      if (Number.isFinite(data.touchSensitivity)) {
+        this.touchSensitivity = Math.max(
+          0.5,
+          Math.min(3, data.touchSensitivity)
+        );
+      }
+      Object.keys(this.effects).forEach((name) => {
+        if (data.effects && typeof data.effects[name] === "boolean") {
+          this.effects[name] = data.effects[name];
+        }
+      });
+      if (typeof data.showHitboxes === "boolean") {
+        this.showHitboxes = data.showHitboxes;
+      }
+    } catch (error) {
+      console.warn("Settings unreadable, using defaults:", error);
+    }
+  }
 
-    ctx.restore();
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.version,
+          bindings: this.bindings,
+          difficulty: this.difficulty,
+          coopLives: this.coopLives,
+          touchScheme: this.touchScheme,
+          touchSensitivity: this.touchSensitivity,
+          effects: this.effects,
+          showHitboxes: this.showHitboxes,
+        })
+      );
+    } catch (error) {
+      console.warn("Could not save settings:", error);
+    }
+  }
+
+  update(changes) {
+    Object.assign(this, changes);
+    this.save();
+  }
+
+  // Returns the action bound to a key code, or null
+  getAction(code) {
+    return (
+      Object.keys(this.bindings).find((action) =>
+        this.bindings[action].includes(code)
+      ) || null
+    );
+  }
+
+  // A key drives at most one action, so it is unbound everywhere else first
+  bind(action, slot, code) {
+    if (code) {
+      Object.values(this.bindings).forEach((codes) => {
+        codes.forEach((bound, index) => {
+          if (bound === code) codes[index] = null;
+        });
+      });
+    }
+    this.bindings[action][slot] = code;
+    this.save();
   }
 }
 
-class Particle {
-  constructor(x, y, color) {
-    this.x = x;
-    this.y = y;
-    this.vx = (Math.random() - 0.5) * 8;
-    this.vy = (Math.random() - 0.5) * 8;
-    this.life = 1;
-    this.decay = 0.02;
-    this.size = Math.random() * 4 + 2;
-    this.color = color;
+// Turns a KeyboardEvent.code into a short label (KeyA -> A, ArrowUp -> ↑)
+function formatKeyCode(code) {
+  if (!code) return "-";
+  const arrows = {
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+  };
+  if (arrows[code]) return arrows[code];
+  if (code === "Escape") return "Esc";
+  return code.replace(/^(Key|Digit)/, "");
+}
+
+// Button indices in the browser's "standard" gamepad layout
+const GAMEPAD_BUTTONS = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  start: 9,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+};
+const GAMEPAD_FIRE_BUTTONS = [0, 1, 2, 3];
+
+// Polls every connected controller once per frame and merges them, so any
+// pad can play and pads can be plugged in or out at any time. Each pad's own
+// state is kept too, in connection order, so co-op players get one each.
+class GamepadInput {
+  constructor(deadZone = 0.2) {
+    this.deadZone = deadZone;
+    this.stick = { x: 0, y: 0 };
+    this.held = new Set();
+    this.slots = []; // { stick, held } per player slot
+    this.slotPads = []; // gamepad index per player slot, null when free
+    this.pressed = new Set(); // Buttons that went down this frame
+    this.previous = {}; // "pad:button" -> was it held last frame
+
+    // Pads keep their slot while connected, so plugging another one in or
+    // out never swaps players
+    window.addEventListener("gamepadconnected", (e) => {
+      this.assignSlot(e.gamepad.index);
+    });
+
+    // A pad plugged back in starts with nothing held
+    window.addEventListener("gamepaddisconnected", (e) => {
+      Object.keys(this.previous).forEach((key) => {
+        if (key.startsWith(`${e.gamepad.index}:`)) delete this.previous[key];
+      });
+      const slot = this.slotPads.indexOf(e.gamepad.index);
+      if (slot !== -1) this.slotPads[slot] = null;
+    });
   }
 
-  update(deltaTime) {
-    this.x += this.vx;
-    this.y += this.vy;
-    this.life -= this.decay;
-    this.vx *= 0.98;
-    this.vy *= 0.98;
+  // The slot a pad plays in - the first free one if it has none yet
+  assignSlot(padIndex) {
+    let slot = this.slotPads.indexOf(padIndex);
+    if (slot === -1) {
+      slot = this.slotPads.indexOf(null);
+      if (slot === -1) slot = this.slotPads.length;
+      this.slotPads[slot] = padIndex;
+    }
+    return slot;
   }
 
-  draw(ctx) {
-    ctx.save();
-    ctx.globalAlpha = this.life;
-    ctx.fillStyle = this.color;
-    ctx.shadowColor = this.color;
-    ctx.shadowBlur = 5;
-    ctx.fillRect(
-      this.x - this.size / 2,
-      this.y - this.size / 2,
-      this.size,
-      this.size
+  poll() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    this.stick = { x: 0, y: 0 };
+    this.held = new Set();
+    this.pressed = new Set();
+    this.slots = [];
+
+    Array.from(pads).forEach((pad) => {
+      if (!pad || !pad.connected) return;
+
+      // The most deflected stick across all pads steers
+      const stick = this.applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0);
+      const slot = { stick: stick, held: new Set() };
+      this.slots[this.assignSlot(pad.index)] = slot;
+      if (
+        Math.hypot(stick.x, stick.y) > Math.hypot(this.stick.x, this.stick.y)
+      ) {
+        this.stick = stick;
+      }
+
+      pad.buttons.forEach((button, index) => {
+        if (this.edge(`${pad.index}:${index}`, button.pressed)) {
+          this.pressed.add(index);
+        }
+        if (button.pressed) {
+          this.held.add(index);
+          slot.held.add(index);
+        }
+      });
+
+      // Pushing the stick up or down navigates menus like the D-pad
+      if (this.edge(`${pad.index}:stickUp`, stick.y < -0.5)) {
+        this.pressed.add(GAMEPAD_BUTTONS.up);
+      }
+      if (this.edge(`${pad.index}:stickDown`, stick.y > 0.5)) {
+        this.pressed.add(GAMEPAD_BUTTONS.down);
+      }
+    });
+  }
+
+  // Returns true when an input has just gone down
+  edge(key, isDown) {
+    const wasDown = !!this.previous[key];
+    this.previous[key] = isDown;
+    return isDown && !wasDown;
+  }
+
+  // Radial dead zone, rescaled so movement starts smoothly from zero
+  applyDeadZone(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < this.deadZone) return { x: 0, y: 0 };
+
+    const scaled = Math.min(
+      1,
+      (magnitude - this.deadZone) / (1 - this.deadZone)
     );
-    ctx.restore();
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+  }
+
+  // slot picks one player's pad (0 for the first connected); null merges
+  // them all
+  getState(slot) {
+    if (slot === null) return this;
+    return this.slots[slot] || { stick: { x: 0, y: 0 }, held: new Set() };
+  }
+
+  getStick(slot = null) {
+    return this.getState(slot).stick;
+  }
+
+  isHeld(button, slot = null) {
+    return this.getState(slot).held.has(button);
+  }
+
+  wasPressed(button) {
+    return this.pressed.has(button);
+  }
+
+  isFiring(slot = null) {
+    const held = this.getState(slot).held;
+    return GAMEPAD_FIRE_BUTTONS.some((button) => held.has(button));
   }
 }
 
-class PowerUp {
-  constructor(x, y, type) {
-    this.x = x;
-    this.y = y;
-    this.type = type;
-    this.size = 12;
-    this.speed = 2;
-    this.rotation = 0;
-    this.pulseTimer = 0;
-
-    // Set color and properties based on type
-    switch (type) {
-      case "rapidFire":
-        this.color = "#ff0000";
-        this.symbol = "R";
-        break;
-      case "shield":
-        this.color = "#00ff00";
-        this.symbol = "S";
-        break;
-      case "multiShot":
-        this.color = "#ff00ff";
-        this.symbol = "M";
-        break;
-      case "speedBoost":
-        this.color = "#ffff00";
-        this.symbol = "B";
-        break;
+// Best score per daily challenge and the run of consecutive days played,
+// keyed by the challenge's UTC day ("YYYY-MM-DD")
+class DailyRecords {
+  constructor(storageKey = "cosmicDefenderDaily", keepDays = 30) {
+    this.storageKey = storageKey;
+    this.keepDays = keepDays;
+    this.version = 1;
+    this.best = {}; // day -> best score
+    this.streak = 0;
+    this.lastPlayed = null; // day of the most recent daily run
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (!raw) return;
+      const data = JSON.parse(raw);
+      if (!data || data.version !== this.version) {
+        throw new Error(`unsupported version ${data && data.version}`);
+      }
+      Object.keys(data.best || {}).forEach((day) => {
+        if (this.isDay(day) && Number.isFinite(data.best[day])) {
+          this.best[day] = data.best[day];
+        }
+      });
+      if (this.isDay(data.lastPlayed) && Number.isInteger(data.streak)) {
+        this.lastPlayed = data.lastPlayed;
+        this.streak = Math.max(0, data.streak);
+      }
+    } catch (error) {
+      console.warn("Daily records unreadable, starting fresh:", error);
     }
   }
 
-  update(deltaTime) {
-    this.y += this.speed;
-    this.rotation += 0.05;
-    this.pulseTimer += deltaTime * 0.005;
+  isDay(day) {
+    return typeof day === "string" && /^\d{4}-\d{2}-\d{2}$/.test(day);
   }
 
-  draw(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation);
+  getBest(day) {
+    return this.best[day] === undefined ? null : this.best[day];
+  }
 
-    // Pulsing glow effect
-    const pulse = Math.sin(this.pulseTimer) * 0.3 + 0.7;
+  // The streak only counts while it is still alive - played today or
+  // yesterday
+  getStreak(today) {
+    return this.lastPlayed === today ||
+      this.lastPlayed === this.previousDay(today)
+      ? this.streak
+      : 0;
+  }
 
-    // Outer glow
-    ctx.shadowColor = this.color;
-    ctx.shadowBlur = 8 * pulse; // Reduced from 15 to 8
-    ctx.fillStyle = this.color;
-    ctx.globalAlpha = 0.4 * pulse; // Reduced from 0.6 to 0.4
+  previousDay(day) {
+    return new Date(Date.parse(day) - 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+  }
 
-    // Power-up body (hexagon)
-    ctx.beginPath();
-    for (let i = 0; i < 6; i++) {
-      const angle = (i * Math.PI) / 3;
-      const x = Math.cos(angle) * this.size;
-      const y = Math.sin(angle) * this.size;
-      if (i === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    }
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
+  // Stores a finished daily run. Returns { best, isNewBest, streak }.
+  record(day, score) {
+    const previous = this.getBest(day);
+    const isNewBest = previous === null || score > previous;
+    if (isNewBest) this.best[day] = score;
 
-    // Inner core
-    ctx.globalAlpha = 1;
-    ctx.shadowBlur = 3; // Reduced from 5 to 3
-    ctx.fillStyle = "#ffffff";
-    ctx.beginPath();
-    ctx.arc(0, 0, this.size * 0.4, 0, Math.PI * 2);
-    ctx.fill();
+    if (this.lastPlayed !== day) {
+      this.streak =
+        this.lastPlayed === this.previousDay(day) ? this.streak + 1 : 1;
+      this.lastPlayed = day;
+    }
 
-    // Symbol
-    ctx.fillStyle = this.color;
-    ctx.font = `bold ${this.size}px Orbitron`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.shadowBlur = 0;
-    ctx.fillText(this.symbol, 0, 0);
+    // Only the most recent days are worth keeping
+    Object.keys(this.best)
+      .sort()
+      .reverse()
+      .slice(this.keepDays)
+      .forEach((oldDay) => delete this.best[oldDay]);
 
-    ctx.restore();
+    this.save();
+    return { best: this.best[day], isNewBest: isNewBest, streak: this.streak };
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.version,
+          best: this.best,
+          streak: this.streak,
+          lastPlayed: this.lastPlayed,
+        })
+      );
+    } catch (error) {
+      console.warn("Could not save daily records:", error);
+    }
+  }
+}
+
+// Ship choices and unlock progress, kept in localStorage as
+// { version, selected, unlocked, progress }. progress holds the stats the
+// SHIPS unlock milestones are measured against; a ship stays unlocked once
+// it has been earned.
+class Hangar {
+  constructor(storageKey = "cosmicDefenderHangar") {
+    this.storageKey = storageKey;
+    this.version = 1;
+    this.selected = ["rocket", "rocket"]; // per player
+    this.unlocked = Object.keys(SHIPS).filter((name) => !SHIPS[name].unlock);
+    this.progress = { bestScore: 0, bestLevel: 0, bossesDefeated: 0 };
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (!raw) return;
+      const data = JSON.parse(raw);
+      if (!data || data.version !== this.version) {
+        throw new Error(`unsupported version ${data && data.version}`);
+      }
+      (data.unlocked || []).forEach((name) => {
+        if (SHIPS[name] && !this.isUnlocked(name)) this.unlocked.push(name);
+      });
+      Object.keys(this.progress).forEach((stat) => {
+        const value = data.progress && data.progress[stat];
+        if (Number.isFinite(value)) this.progress[stat] = value;
+      });
+      (data.selected || []).slice(0, 2).forEach((name, slot) => {
+        if (this.isUnlocked(name)) this.selected[slot] = name;
+      });
+    } catch (error) {
+      console.warn("Hangar data unreadable, starting fresh:", error);
+    }
+  }
+
+  isUnlocked(name) {
+    return this.unlocked.includes(name);
+  }
+
+  // Returns false for locked ships
+  select(slot, name) {
+    if (!this.isUnlocked(name)) return false;
+    this.selected[slot] = name;
+    this.save();
+    return true;
+  }
+
+  getShips(players) {
+    return this.selected.slice(0, players);
+  }
+
+  // Folds a result into the progress - bestScore and bestLevel keep the
+  // highest value, bossesDefeated adds up - and returns the names of any
+  // ships that unlocks
+  record({ bestScore = 0, bestLevel = 0, bossesDefeated = 0 }) {
+    const progress = this.progress;
+    progress.bestScore = Math.max(progress.bestScore, bestScore);
+    progress.bestLevel = Math.max(progress.bestLevel, bestLevel);
+    progress.bossesDefeated += bossesDefeated;
+
+    const unlocks = Object.keys(SHIPS).filter((name) => {
+      const unlock = SHIPS[name].unlock;
+      return (
+        !this.isUnlocked(name) &&
+        unlock &&
+        progress[unlock.stat] >= unlock.value
+      );
+    });
+    this.unlocked.push(...unlocks);
+    this.save();
+    return unlocks;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.version,
+          selected: this.selected,
+          unlocked: this.unlocked,
+          progress: this.progress,
+        })
+      );
+    } catch (error) {
+      console.warn("Could not save the hangar:", error);
+    }
+  }
+}
+
+// Top scores kept in localStorage as { version, entries }. Unreadable or
+// incompatible data is backed up under a separate key and replaced.
+class HighScores {
+  constructor(storageKey = "cosmicDefenderHighScores", maxEntries = 10) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    this.version = 1;
+    this.entries = this.load();
+  }
+
+  load() {
+    let raw = null;
+    try {
+      raw = localStorage.getItem(this.storageKey);
+      if (!raw) return [];
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== this.version) {
+        throw new Error(`unsupported version ${data && data.version}`);
+      }
+      if (!Array.isArray(data.entries)) {
+        throw new Error("entries is not a list");
+      }
+
+      // Drop individual entries that don't match the schema
+      return data.entries
+        .filter((entry) => this.isValidEntry(entry))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxEntries);
+    } catch (error) {
+      console.warn("High scores unreadable, starting fresh:", error);
+      try {
+        if (raw) localStorage.setItem(`${this.storageKey}.backup`, raw);
+      } catch (backupError) {
+        // Storage is unavailable - nothing more we can do
+      }
+      return [];
+    }
+  }
+
+  isValidEntry(entry) {
+    return (
+      !!entry &&
+      typeof entry.name === "string" &&
+      Number.isFinite(entry.score) &&
+      Number.isFinite(entry.level) &&
+      Number.isFinite(entry.duration) &&
+      !isNaN(Date.parse(entry.date))
+    );
+  }
+
+  qualifies(score) {
+    if (score <= 0) return false;
+    if (this.entries.length < this.maxEntries) return true;
+    return score > this.entries[this.entries.length - 1].score;
+  }
+
+  // Adds an entry and returns its zero-based rank
+  add(entry) {
+    const name =
+      entry.name
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "")
+        .slice(0, 3) || "???";
+    const saved = { ...entry, name: name };
+
+    // Ties go below existing entries - earlier scores keep their place
+    let rank = this.entries.findIndex((e) => e.score < saved.score);
+    if (rank === -1) rank = this.entries.length;
+    this.entries.splice(rank, 0, saved);
+    this.entries = this.entries.slice(0, this.maxEntries);
+    this.save();
+    return rank;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.version, entries: this.entries })
+      );
+    } catch (error) {
+      console.warn("Could not save high scores:", error);
+    }
   }
 }
 
 // Initialize game when page loads
 window.addEventListener("load", () => {
-  new Game();
+  // Exposed globally so recorded replays can be loaded from the console
+  window.game = new Game();
 });